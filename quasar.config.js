@@ -14,7 +14,10 @@ export default defineConfig((/* ctx */) => {
     // https://v2.quasar.dev/quasar-cli-vite/boot-files
     boot: [
       'pinia',
-      'axios'
+      'axios',
+      'offline',
+      'realtime',
+      'tabSync'
     ],
 
     // https://v2.quasar.dev/quasar-cli-vite/quasar-config-file#css
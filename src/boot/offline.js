@@ -0,0 +1,26 @@
+import { defineBoot } from '#q-app/wrappers'
+import { watch } from 'vue'
+import { useAuthStore } from 'stores/auth'
+import { useTasksStore } from 'stores/tasks'
+
+// Keep the tasks store informed about connectivity, so changes made
+// offline are queued and replayed once the browser is back online
+export default defineBoot(async () => {
+  const tasksStore = useTasksStore()
+  const authStore = useAuthStore()
+
+  await tasksStore.loadOfflineQueue()
+
+  window.addEventListener('online', () => tasksStore.setOnline(true))
+  window.addEventListener('offline', () => tasksStore.setOnline(false))
+
+  // Cached tasks and queued changes belong to the signed-in user
+  watch(
+    () => authStore.isAuthenticated,
+    (isAuthenticated) => {
+      if (!isAuthenticated) {
+        tasksStore.clearOfflineData()
+      }
+    },
+  )
+})
@@ -0,0 +1,23 @@
+import { defineBoot } from '#q-app/wrappers'
+import { watch } from 'vue'
+import { useAuthStore } from 'stores/auth'
+import { useTasksStore } from 'stores/tasks'
+
+// Follow the session with the realtime channel: subscribe after login,
+// reconnect when the access token is refreshed and unsubscribe on logout
+export default defineBoot(() => {
+  const tasksStore = useTasksStore()
+  const authStore = useAuthStore()
+
+  watch(
+    () => (authStore.isAuthenticated ? authStore.accessToken : null),
+    (token) => {
+      if (token) {
+        tasksStore.subscribeRealtime(token)
+      } else {
+        tasksStore.unsubscribeRealtime()
+      }
+    },
+    { immediate: true },
+  )
+})
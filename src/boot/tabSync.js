@@ -0,0 +1,23 @@
+import { defineBoot } from '#q-app/wrappers'
+import tabSync from 'services/tabSync.service'
+import { useAuthStore, AUTH_SYNC_TOPIC } from 'stores/auth'
+import { useTasksStore, TASKS_SYNC_TOPIC } from 'stores/tasks'
+
+// Keep open tabs in step: sign-ins, token refreshes, profile updates and
+// sign-outs from another tab reload the session here, and task changes
+// are applied to the list without a refetch
+export default defineBoot(({ router }) => {
+  const authStore = useAuthStore()
+  const tasksStore = useTasksStore()
+
+  tabSync.subscribe(AUTH_SYNC_TOPIC, () => {
+    const wasAuthenticated = authStore.isAuthenticated
+    authStore.initialize()
+
+    if (wasAuthenticated && !authStore.isAuthenticated) {
+      router.push('/login')
+    }
+  })
+
+  tabSync.subscribe(TASKS_SYNC_TOPIC, (events) => tasksStore.receiveTaskChanges(events))
+})
@@ -12,6 +12,19 @@ const routes = [
         path: 'tasks',
         component: () => import('pages/tasks/TasksPage.vue'),
         meta: { requiresAuth: true },
+        children: [
+          {
+            path: ':id',
+            name: 'task-detail',
+            component: () => import('pages/tasks/TaskDetailPage.vue'),
+            meta: { requiresAuth: true },
+          },
+        ],
+      },
+      {
+        path: 'trash',
+        component: () => import('pages/tasks/TrashPage.vue'),
+        meta: { requiresAuth: true },
       },
       {
         path: 'profile',
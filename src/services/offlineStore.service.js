@@ -0,0 +1,150 @@
+// services/offlineStore.service.js
+const DB_NAME = 'quarterhorse-offline'
+const DB_VERSION = 1
+const TASKS_STORE = 'tasks'
+const MUTATIONS_STORE = 'mutations'
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+class OfflineStoreService {
+  constructor() {
+    this.dbPromise = null
+  }
+
+  /**
+   * Check if IndexedDB is available
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined'
+  }
+
+  /**
+   * Open the database, creating its object stores on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(TASKS_STORE)) {
+          db.createObjectStore(TASKS_STORE, { keyPath: 'entity_id' })
+        }
+        if (!db.objectStoreNames.contains(MUTATIONS_STORE)) {
+          db.createObjectStore(MUTATIONS_STORE, { keyPath: 'seq' })
+        }
+      }
+      this.dbPromise = promisify(request).catch((error) => {
+        this.dbPromise = null
+        throw error
+      })
+    }
+    return this.dbPromise
+  }
+
+  /**
+   * Run a callback against an object store inside a transaction
+   * @param {string} storeName - The object store to use
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the object store, may return a request
+   * @returns {Promise<any>} - The request result, once the transaction completes
+   */
+  async run(storeName, mode, callback) {
+    const db = await this.open()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode)
+      const request = callback(transaction.objectStore(storeName))
+      transaction.oncomplete = () => resolve(request?.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * Get the cached task list
+   * @returns {Promise<Array>}
+   */
+  async getTasks() {
+    if (!this.isAvailable()) return []
+    try {
+      return (await this.run(TASKS_STORE, 'readonly', (store) => store.getAll())) || []
+    } catch (error) {
+      console.error('Error reading cached tasks', error)
+      return []
+    }
+  }
+
+  /**
+   * Replace the cached task list
+   * @param {Array} tasks - The tasks to cache
+   */
+  async saveTasks(tasks) {
+    if (!this.isAvailable()) return
+    try {
+      // Plain copies, since reactive proxies cannot be stored
+      const records = JSON.parse(JSON.stringify(tasks))
+      await this.run(TASKS_STORE, 'readwrite', (store) => {
+        store.clear()
+        records.forEach((task) => store.put(task))
+      })
+    } catch (error) {
+      console.error('Error caching tasks', error)
+    }
+  }
+
+  /**
+   * Get queued mutations, oldest first
+   * @returns {Promise<Array>}
+   */
+  async getMutations() {
+    if (!this.isAvailable()) return []
+    try {
+      const mutations = await this.run(MUTATIONS_STORE, 'readonly', (store) => store.getAll())
+      return (mutations || []).sort((a, b) => a.seq - b.seq)
+    } catch (error) {
+      console.error('Error reading queued changes', error)
+      return []
+    }
+  }
+
+  /**
+   * Replace the queued mutations
+   * @param {Array} mutations - The mutations to keep
+   */
+  async saveMutations(mutations) {
+    if (!this.isAvailable()) return
+    try {
+      const records = JSON.parse(JSON.stringify(mutations))
+      await this.run(MUTATIONS_STORE, 'readwrite', (store) => {
+        store.clear()
+        records.forEach((mutation) => store.put(mutation))
+      })
+    } catch (error) {
+      console.error('Error saving queued changes', error)
+    }
+  }
+
+  /**
+   * Remove all cached tasks and queued mutations
+   */
+  async clear() {
+    if (!this.isAvailable()) return
+    try {
+      await this.run(TASKS_STORE, 'readwrite', (store) => store.clear())
+      await this.run(MUTATIONS_STORE, 'readwrite', (store) => store.clear())
+    } catch (error) {
+      console.error('Error clearing offline data', error)
+    }
+  }
+}
+
+export default new OfflineStoreService()
@@ -0,0 +1,148 @@
+// services/realtime.service.js
+const API_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5001'
+
+// 'sse' (Server-Sent Events), 'websocket', or 'none' to turn realtime updates off
+const REALTIME_TRANSPORT = import.meta.env.VITE_REALTIME_TRANSPORT || 'sse'
+const REALTIME_URL =
+  import.meta.env.VITE_REALTIME_URL ||
+  (REALTIME_TRANSPORT === 'websocket'
+    ? `${API_URL.replace(/^http/, 'ws')}/task/ws`
+    : `${API_URL}/task/events`)
+
+// Reconnection backoff: doubles after each failed attempt, up to the maximum
+const INITIAL_RETRY_DELAY = 1000
+const MAX_RETRY_DELAY = 30000
+
+class RealtimeService {
+  constructor() {
+    this.options = null
+    this.connection = null
+    this.retryCount = 0
+    this.retryTimer = null
+  }
+
+  /**
+   * Check if realtime updates are configured and supported by the browser
+   * @param {string} transport - 'sse' or 'websocket'
+   * @returns {boolean}
+   */
+  isAvailable(transport = REALTIME_TRANSPORT) {
+    if (transport === 'websocket') return typeof WebSocket !== 'undefined'
+    if (transport === 'sse') return typeof EventSource !== 'undefined'
+    return false
+  }
+
+  /**
+   * Open the realtime channel, replacing any open one. Lost connections
+   * are retried with an exponential backoff until `disconnect` is called.
+   * @param {Object} options
+   * @param {string} options.token - Access token, sent as a query parameter since
+   *   neither EventSource nor WebSocket can set an Authorization header
+   * @param {Function} options.onEvent - Receives each parsed event
+   * @param {Function} options.onStatusChange - Receives 'connecting', 'connected',
+   *   'reconnecting' or 'disconnected'
+   * @param {string} options.transport - Overrides the configured transport
+   * @param {string} options.url - Overrides the configured URL
+   * @returns {boolean} - Whether a connection is being opened
+   */
+  connect({ token, onEvent, onStatusChange, transport = REALTIME_TRANSPORT, url = REALTIME_URL }) {
+    this.disconnect()
+
+    if (!this.isAvailable(transport)) return false
+
+    this.options = { token, onEvent, onStatusChange, transport, url }
+    this.open('connecting')
+    return true
+  }
+
+  /**
+   * Close the realtime channel and stop reconnecting
+   */
+  disconnect() {
+    clearTimeout(this.retryTimer)
+    this.retryTimer = null
+    this.closeConnection()
+
+    const options = this.options
+    this.options = null
+    this.retryCount = 0
+    options?.onStatusChange?.('disconnected')
+  }
+
+  /**
+   * Create the EventSource or WebSocket and wire its handlers
+   * @param {string} status - The status to report while connecting
+   */
+  open(status) {
+    const { token, transport, url } = this.options
+    const target = new URL(url, globalThis.location?.href)
+    if (token) target.searchParams.set('token', token)
+
+    this.options.onStatusChange?.(status)
+
+    const connection =
+      transport === 'websocket' ? new WebSocket(target.href) : new EventSource(target.href)
+
+    connection.onopen = () => {
+      this.retryCount = 0
+      this.options?.onStatusChange?.('connected')
+    }
+    connection.onmessage = (message) => this.handleMessage(message.data)
+
+    if (transport === 'websocket') {
+      connection.onclose = () => this.scheduleReconnect()
+    } else {
+      // EventSource retries on its own at a fixed rate; use the backoff instead
+      connection.onerror = () => this.scheduleReconnect()
+    }
+
+    this.connection = connection
+  }
+
+  /**
+   * Parse an incoming message and pass it on
+   * @param {string} data - The raw message, a JSON encoded event
+   */
+  handleMessage(data) {
+    let event
+    try {
+      event = JSON.parse(data)
+    } catch (error) {
+      console.error('Error parsing realtime event', error)
+      return
+    }
+    this.options?.onEvent?.(event)
+  }
+
+  /**
+   * Drop the current connection and try again after the backoff delay
+   */
+  scheduleReconnect() {
+    if (!this.options) return
+
+    this.closeConnection()
+    const delay = Math.min(INITIAL_RETRY_DELAY * 2 ** this.retryCount, MAX_RETRY_DELAY)
+    this.retryCount++
+    this.options.onStatusChange?.('reconnecting')
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null
+      this.open('reconnecting')
+    }, delay)
+  }
+
+  /**
+   * Close the current connection without triggering a reconnect
+   */
+  closeConnection() {
+    if (!this.connection) return
+
+    this.connection.onopen = null
+    this.connection.onmessage = null
+    this.connection.onerror = null
+    this.connection.onclose = null
+    this.connection.close()
+    this.connection = null
+  }
+}
+
+export default new RealtimeService()
@@ -0,0 +1,89 @@
+// services/tabSync.service.js
+const CHANNEL_NAME = 'quarterhorse-sync'
+// localStorage key used to relay messages where BroadcastChannel is missing
+const STORAGE_KEY = 'quarterhorse-sync'
+
+class TabSyncService {
+  constructor() {
+    this.channel = null
+    this.listening = false
+    this.handlers = new Map()
+  }
+
+  /**
+   * Start listening for messages from other tabs, once
+   */
+  listen() {
+    if (this.listening) return
+    this.listening = true
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CHANNEL_NAME)
+      this.channel.onmessage = (event) => this.dispatch(event.data)
+    } else if (typeof window !== 'undefined') {
+      // Storage events only fire in the tabs that did not write the value
+      window.addEventListener('storage', (event) => {
+        if (event.key !== STORAGE_KEY || !event.newValue) return
+        try {
+          this.dispatch(JSON.parse(event.newValue))
+        } catch (error) {
+          console.error('Error reading message from another tab', error)
+        }
+      })
+    }
+  }
+
+  /**
+   * Send a message to the other open tabs
+   * @param {string} topic - What the message is about, e.g. 'auth' or 'tasks'
+   * @param {any} payload - JSON serializable message content
+   */
+  publish(topic, payload = null) {
+    this.listen()
+
+    try {
+      // Plain copies, since reactive proxies cannot be cloned
+      const message = JSON.parse(JSON.stringify({ topic, payload }))
+
+      if (this.channel) {
+        this.channel.postMessage(message)
+      } else if (typeof localStorage !== 'undefined') {
+        // Removed right away, so the next message is a change again
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(message))
+        localStorage.removeItem(STORAGE_KEY)
+      }
+    } catch (error) {
+      console.error(`Error sending message to other tabs: ${topic}`, error)
+    }
+  }
+
+  /**
+   * Handle messages on a topic from other tabs
+   * @param {string} topic - The topic to follow
+   * @param {Function} handler - Receives the message payload
+   * @returns {Function} - Stops following the topic
+   */
+  subscribe(topic, handler) {
+    this.listen()
+
+    if (!this.handlers.has(topic)) this.handlers.set(topic, new Set())
+    this.handlers.get(topic).add(handler)
+    return () => this.handlers.get(topic)?.delete(handler)
+  }
+
+  /**
+   * Pass a received message to the handlers of its topic
+   * @param {Object} message - `{ topic, payload }`
+   */
+  dispatch(message) {
+    this.handlers.get(message?.topic)?.forEach((handler) => {
+      try {
+        handler(message.payload)
+      } catch (error) {
+        console.error(`Error handling message from another tab: ${message.topic}`, error)
+      }
+    })
+  }
+}
+
+export default new TabSyncService()
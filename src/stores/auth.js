@@ -2,6 +2,7 @@ import { defineStore, acceptHMRUpdate } from 'pinia'
 import { Notify } from 'quasar'
 import axios from 'config/axios'
 import localStorageService from 'services/localStorage.service'
+import tabSync from 'services/tabSync.service'
 import { handleAuthRequest, handleOAuthRequest } from '@/utils/apiHelper'
 
 // Constants for localStorage keys
@@ -13,6 +14,9 @@ const STORAGE_KEYS = {
   OAUTH_ERROR_MESSAGE: 'oauthErrorMessage',
 }
 
+// Other open tabs reload the session from localStorage on this message
+export const AUTH_SYNC_TOPIC = 'auth'
+
 // Helper function to get initial state from localStorage
 const getInitialState = () => ({
   user: localStorageService.getItem(STORAGE_KEYS.USER) || null,
@@ -57,6 +61,7 @@ export const useAuthStore = defineStore('auth', {
       localStorageService.setItem(STORAGE_KEYS.USER, user)
       localStorageService.setItem(STORAGE_KEYS.ACCESS_TOKEN, accessToken)
       localStorageService.setItem(STORAGE_KEYS.ACCESS_TOKEN_EXPIRY, accessTokenExpiry)
+      tabSync.publish(AUTH_SYNC_TOPIC)
     },
 
     /**
@@ -70,6 +75,7 @@ export const useAuthStore = defineStore('auth', {
       localStorageService.removeItem(STORAGE_KEYS.USER)
       localStorageService.removeItem(STORAGE_KEYS.ACCESS_TOKEN)
       localStorageService.removeItem(STORAGE_KEYS.ACCESS_TOKEN_EXPIRY)
+      tabSync.publish(AUTH_SYNC_TOPIC)
     },
 
     /**
@@ -244,6 +250,7 @@ export const useAuthStore = defineStore('auth', {
     updateUser(userData) {
       this.user = { ...this.user, ...userData }
       localStorageService.setItem(STORAGE_KEYS.USER, this.user)
+      tabSync.publish(AUTH_SYNC_TOPIC)
     },
 
     /**
@@ -2,48 +2,292 @@ import { Notify } from 'quasar'
 import { defineStore, acceptHMRUpdate } from 'pinia'
 
 import axios from 'config/axios'
+import offlineStore from 'services/offlineStore.service'
+import realtimeService from 'services/realtime.service'
+import tabSync from 'services/tabSync.service'
+import {
+  isTaskOverdue,
+  isTaskDueToday,
+  getTaskDueDateTime,
+  formatTaskDueDate,
+} from '@/utils/taskDates'
+import { getPriorityLevel, isValidPriority } from '@/utils/taskPriority'
+import { normalizeTag, normalizeTags, collectTags } from '@/utils/taskTags'
+import { createSubtask, getSubtasks, generateSubtaskId } from '@/utils/taskSubtasks'
+import { sortVersions, getRevertPayload } from '@/utils/taskHistory'
+import { searchTasks, parseSearchTerms } from '@/utils/taskSearch'
+import { getConflictingFields } from '@/utils/taskConflicts'
+import { createNextOccurrence } from '@/utils/taskRecurrence'
+import { mapWithConcurrency } from '@/utils/batch'
 
-const FILTER_TYPES = {
+export const FILTER_TYPES = {
   ALL: 'all',
   ACTIVE: 'active',
   COMPLETED: 'completed',
+  OVERDUE: 'overdue',
+  DUE_TODAY: 'due_today',
+}
+
+export const SORT_TYPES = {
+  MANUAL: 'manual',
+  PRIORITY: 'priority',
+  CREATED_AT: 'created_at',
+  DUE_DATE: 'due_date',
+  TITLE: 'title',
+}
+
+// Gap between neighbouring positions, leaving room for moves without renumbering
+const POSITION_STEP = 1024
+const MIN_POSITION_GAP = 1e-6
+
+// How long a deletion can still be undone before it reaches the server
+export const UNDO_TIMEOUT = 5000
+
+// Number of tasks fetched per request
+export const PAGE_SIZE = 50
+
+// Operations per request to the bulk endpoint, and parallel single requests
+// when the server has no bulk endpoint
+export const BATCH_SIZE = 100
+const BATCH_CONCURRENCY = 4
+// Responses meaning the server does not offer the bulk endpoint
+const BATCH_UNSUPPORTED_STATUSES = [404, 405, 501]
+
+// Other open tabs apply the task changes sent on this topic
+export const TASKS_SYNC_TOPIC = 'tasks'
+
+// Responses to an update based on an outdated version of the task
+const CONFLICT_STATUSES = [409, 412]
+
+// Tasks created offline carry a client-side id until the server has them
+const LOCAL_ID_PREFIX = 'local-'
+
+// The latest update of each task on its way to the server. Updates of one task
+// are sent one after another, so each carries the version the previous one returned.
+const taskSaves = new Map()
+
+// Axios sets this code when a request never reached the server
+const isNetworkError = (error) => error?.code === 'ERR_NETWORK'
+
+// The task a queued add stands for until the server has created it
+const toLocalTask = ({ taskId, payload, queuedAt }) => ({
+  entity_id: taskId,
+  completed: false,
+  created_at: queuedAt,
+  ...payload,
+})
+
+// The update that completes or reopens a task. Completing a recurring task also
+// returns its next occurrence, which takes the rule over, so reopening and
+// completing this task again does not add a second one.
+const getCompletionChange = (task, completed, { completeSubtasks = true } = {}) => {
+  const payload = { completed }
+
+  const subtasks = getSubtasks(task)
+  if (completed && completeSubtasks && subtasks.some((subtask) => !subtask.completed)) {
+    payload.subtasks = subtasks.map((subtask) => ({ ...subtask, completed: true }))
+  }
+
+  const nextOccurrence = completed ? createNextOccurrence(task) : null
+  if (nextOccurrence) {
+    payload.recurrence = null
+  }
+  return { payload, nextOccurrence }
+}
+
+const countTasks = (count) => `${count} task${count === 1 ? '' : 's'}`
+
+const compareCreatedAt = (a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0)
+
+const hasPosition = (task) => Number.isFinite(task.position)
+
+// The filter, sort and tag request params of a view, or null for the default view
+const getViewParams = ({ filter, sortBy, tagFilter }) => {
+  const params = {}
+  if (filter !== FILTER_TYPES.ALL) params.filter = filter
+  if (sortBy !== SORT_TYPES.MANUAL) params.sort = sortBy
+  if (tagFilter.length > 0) params.tag = [...tagFilter]
+  return Object.keys(params).length > 0 ? params : null
+}
+
+// Tasks never placed by hand keep their creation order after the placed ones
+const comparePosition = (a, b) => {
+  if (hasPosition(a) && hasPosition(b)) return a.position - b.position || compareCreatedAt(a, b)
+  if (hasPosition(a)) return -1
+  if (hasPosition(b)) return 1
+  return compareCreatedAt(a, b)
+}
+
+// Each comparator falls back to creation order so ties stay stable
+const SORT_COMPARATORS = {
+  [SORT_TYPES.MANUAL]: comparePosition,
+  [SORT_TYPES.PRIORITY]: (a, b) =>
+    getPriorityLevel(b.priority).rank - getPriorityLevel(a.priority).rank ||
+    compareCreatedAt(a, b),
+  [SORT_TYPES.CREATED_AT]: compareCreatedAt,
+  [SORT_TYPES.DUE_DATE]: (a, b) => {
+    const dueA = getTaskDueDateTime(a)
+    const dueB = getTaskDueDateTime(b)
+    if (dueA && dueB) return dueA - dueB || compareCreatedAt(a, b)
+    // Tasks without a due date go last
+    if (dueA) return -1
+    if (dueB) return 1
+    return compareCreatedAt(a, b)
+  },
+  [SORT_TYPES.TITLE]: (a, b) =>
+    (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' }) ||
+    compareCreatedAt(a, b),
 }
 
 export const useTasksStore = defineStore('tasks', {
   state: () => ({
     tasks: [],
     filter: FILTER_TYPES.ALL,
+    sortBy: SORT_TYPES.MANUAL,
+    tagFilter: [],
+    searchQuery: '',
+    // Set when the server holds more tasks than it returned
+    hasMore: false,
+    nextCursor: null,
+    loadingMore: false,
+    // Server totals minus the loaded tasks, so local changes still show in the counters
+    unloadedCounts: { active: 0, completed: 0 },
+    // Set when the task list came from a server-side search
+    remoteSearch: false,
+    // The view params the server applied to the task list, set while the list is partial
+    remoteView: null,
+    selectedTaskIds: [],
+    // Where a shift-click range selection starts
+    selectionAnchorId: null,
+    // Turned off once the server turns out not to offer the bulk endpoint
+    batchSupported: true,
+    isOnline: typeof navigator === 'undefined' || navigator.onLine !== false,
+    // Changes waiting to reach the server, oldest first:
+    // `{ seq, action: 'add' | 'update' | 'delete' | 'purge', taskId, payload, queuedAt }`
+    pendingMutations: [],
+    syncing: false,
+    // 'connecting', 'connected', 'reconnecting' or 'disconnected'
+    realtimeStatus: 'disconnected',
+    // Updates refused because the task changed elsewhere: `{ taskId, yours, theirs }`
+    editConflicts: [],
+    // `{ completed, total }` while an import is creating tasks
+    importProgress: null,
+    pendingDeletionIds: [],
+    trashedTasks: [],
+    trashLoading: false,
+    taskHistory: {},
+    historyLoading: false,
     loading: false,
   }),
 
   getters: {
     /**
-     * Get filtered tasks based on current filter
+     * Get filtered tasks based on current filter and selected tags
      */
     filteredTasks(state) {
+      let tasks
       switch (state.filter) {
         case FILTER_TYPES.ACTIVE:
-          return state.tasks.filter((task) => !task.completed)
+          tasks = state.tasks.filter((task) => !task.completed)
+          break
         case FILTER_TYPES.COMPLETED:
-          return state.tasks.filter((task) => task.completed)
+          tasks = state.tasks.filter((task) => task.completed)
+          break
+        case FILTER_TYPES.OVERDUE:
+          tasks = state.tasks.filter((task) => isTaskOverdue(task))
+          break
+        case FILTER_TYPES.DUE_TODAY:
+          tasks = state.tasks.filter((task) => isTaskDueToday(task))
+          break
         case FILTER_TYPES.ALL:
         default:
-          return state.tasks
+          tasks = state.tasks
+      }
+
+      if (state.tagFilter.length > 0) {
+        // A task matches when it carries any of the selected tags
+        tasks = tasks.filter((task) =>
+          normalizeTags(task.tags).some((tag) => state.tagFilter.includes(tag)),
+        )
       }
+
+      // The server has already applied its own search to the list
+      return state.remoteSearch ? tasks : searchTasks(tasks, state.searchQuery)
+    },
+
+    /**
+     * Get the view settings as URL query parameters, leaving out defaults
+     */
+    viewQuery(state) {
+      const query = {}
+      if (state.filter !== FILTER_TYPES.ALL) query.filter = state.filter
+      if (state.sortBy !== SORT_TYPES.MANUAL) query.sort = state.sortBy
+      if (state.tagFilter.length > 0) query.tag = [...state.tagFilter]
+      if (state.searchQuery) query.q = state.searchQuery
+      return query
+    },
+
+    /**
+     * Get all tags used across tasks, for autocomplete and filtering
+     */
+    allTags(state) {
+      return collectTags(state.tasks)
+    },
+
+    /**
+     * Get filtered tasks in the chosen sort order
+     */
+    visibleTasks() {
+      const comparator = SORT_COMPARATORS[this.sortBy] || SORT_COMPARATORS[SORT_TYPES.MANUAL]
+      return [...this.filteredTasks].sort(comparator)
+    },
+
+    /**
+     * Get the selected tasks that are currently visible, in display order.
+     * Bulk actions only apply to these, so nothing hidden is changed.
+     */
+    selectedTasks() {
+      return this.visibleTasks.filter((task) => this.selectedTaskIds.includes(task.entity_id))
     },
 
     /**
-     * Get count of active tasks
+     * Get count of active tasks.
+     * Subtasks live inside their parent and are not counted on their own.
      */
     activeTaskCount(state) {
-      return state.tasks.filter((task) => !task.completed).length
+      return state.unloadedCounts.active + state.tasks.filter((task) => !task.completed).length
     },
 
     /**
      * Get count of completed tasks
      */
     completedTaskCount(state) {
-      return state.tasks.filter((task) => task.completed).length
+      return state.unloadedCounts.completed + state.tasks.filter((task) => task.completed).length
+    },
+
+    /**
+     * Get count of active tasks past their due date
+     */
+    overdueTaskCount(state) {
+      return state.tasks.filter((task) => isTaskOverdue(task)).length
+    },
+
+    /**
+     * Get the position that places a new task at the end of the list
+     */
+    nextPosition(state) {
+      // The end of a partial list is unknown; tasks without a position are listed last
+      if (state.hasMore) return null
+
+      const positions = state.tasks.filter(hasPosition).map((task) => task.position)
+      return positions.length > 0 ? Math.max(...positions) + POSITION_STEP : POSITION_STEP
+    },
+
+    /**
+     * Get the ids of tasks with changes still waiting to sync
+     */
+    pendingSyncTaskIds(state) {
+      return [...new Set(state.pendingMutations.map((mutation) => mutation.taskId))]
     },
 
     /**
@@ -52,6 +296,14 @@ export const useTasksStore = defineStore('tasks', {
     allTasksCompleted(state) {
       return state.tasks.length > 0 && state.tasks.every((task) => task.completed)
     },
+
+    /**
+     * Whether any loaded task is completed. Bulk actions only reach loaded
+     * tasks, while the completed count includes the server totals.
+     */
+    hasLoadedCompletedTasks(state) {
+      return state.tasks.some((task) => task.completed)
+    },
   },
 
   actions: {
@@ -77,6 +329,19 @@ export const useTasksStore = defineStore('tasks', {
       })
     },
 
+    /**
+     * Show a notification with an "Undo" action
+     */
+    showUndoNotification(message, onUndo) {
+      Notify.create({
+        message,
+        color: 'positive',
+        position: 'top',
+        timeout: UNDO_TIMEOUT,
+        actions: [{ label: 'Undo', color: 'white', handler: onUndo }],
+      })
+    },
+
     /**
      * Handle API errors consistently
      */
@@ -127,6 +392,86 @@ export const useTasksStore = defineStore('tasks', {
       return false
     },
 
+    /**
+     * Apply a change to a task right away, before the server confirms it.
+     * Returns the previous values of the changed fields, for rolling back.
+     */
+    applyOptimisticUpdate(taskId, payload) {
+      const task = this.tasks.find((t) => t.entity_id === taskId)
+      if (!task) return null
+
+      const snapshot = Object.fromEntries(Object.keys(payload).map((key) => [key, task[key]]))
+      this.updateTaskInState(taskId, payload)
+      return snapshot
+    },
+
+    /**
+     * Undo an optimistic change the server rejected. Fields that have been
+     * changed again since are left alone, so a newer edit is not lost.
+     */
+    rollbackOptimisticUpdate(taskId, payload, snapshot) {
+      const taskIndex = this.findTaskIndex(taskId)
+      if (taskIndex === -1 || !snapshot) return
+
+      const task = { ...this.tasks[taskIndex] }
+      Object.keys(payload).forEach((key) => {
+        if (JSON.stringify(task[key]) !== JSON.stringify(payload[key])) return
+
+        if (snapshot[key] === undefined) {
+          delete task[key]
+        } else {
+          task[key] = snapshot[key]
+        }
+      })
+      this.tasks[taskIndex] = task
+    },
+
+    /**
+     * Add the version of the task the change is based on, so the server can
+     * refuse it when someone else saved the task meanwhile
+     */
+    getVersionedPayload(taskId, payload) {
+      const version = this.tasks.find((task) => task.entity_id === taskId)?.version
+      return version ? { ...payload, version } : payload
+    },
+
+    /**
+     * Keep the version of a saved task current, so the next update is not
+     * taken for a conflict. Without a version in the response the version
+     * stays unknown until the task is fetched again.
+     */
+    recordTaskVersion(taskId, savedTask) {
+      const task = this.tasks.find((t) => t.entity_id === taskId)
+      if (task && task.version !== undefined) {
+        this.updateTaskInState(taskId, { version: savedTask?.version })
+      }
+    },
+
+    /**
+     * Send an update once the earlier updates of the same task are saved,
+     * with the version the last of them returned. Resolves to the response.
+     */
+    saveTaskUpdate(taskId, payload) {
+      const previous = taskSaves.get(taskId) ?? Promise.resolve()
+      const save = previous
+        .catch(() => {})
+        .then(async () => {
+          const response = await axios.put(
+            `/task/${taskId}`,
+            this.getVersionedPayload(taskId, payload),
+          )
+          if (response.data?.success) this.recordTaskVersion(taskId, response.data.task)
+          return response
+        })
+
+      const forget = () => {
+        if (taskSaves.get(taskId) === save) taskSaves.delete(taskId)
+      }
+      taskSaves.set(taskId, save)
+      save.then(forget, forget)
+      return save
+    },
+
     /**
      * Remove task from local state
      */
@@ -140,15 +485,58 @@ export const useTasksStore = defineStore('tasks', {
     },
 
     /**
-     * Fetch all tasks from the server
+     * Request one page of tasks, following the current server-side view and search
+     */
+    fetchTaskPage(cursor = null) {
+      const params = { limit: PAGE_SIZE, ...this.remoteView }
+      if (cursor) params.cursor = cursor
+      if (this.remoteSearch) params.search = this.searchQuery
+
+      return axios.get('/task/', { params })
+    },
+
+    /**
+     * Record paging details and server totals from a task list response.
+     * Call after the fetched tasks are in the list.
+     */
+    applyPageInfo(data) {
+      this.hasMore = Boolean(data.has_more)
+      this.nextCursor = data.next_cursor ?? null
+
+      const totals = data.totals
+      const loadedCompleted = this.tasks.filter((task) => task.completed).length
+      const loadedActive = this.tasks.length - loadedCompleted
+      this.unloadedCounts = {
+        active: totals ? Math.max(0, (totals.active ?? 0) - loadedActive) : 0,
+        completed: totals ? Math.max(0, (totals.completed ?? 0) - loadedCompleted) : 0,
+      }
+    },
+
+    /**
+     * Fetch the first page of tasks from the server
      */
     async getTasks() {
+      if (!this.isOnline) {
+        return this.loadCachedTasks()
+      }
+
       this.loading = true
       try {
-        const response = await axios.get('/task/')
+        const response = await this.fetchTaskPage()
 
         if (response.data?.success) {
-          this.tasks = response.data.tasks || []
+          // Keep the manual order so every view lists tasks the same way, and
+          // leave out tasks whose deletion can still be undone
+          this.tasks = this.applyPendingMutations(response.data.tasks || [])
+            .filter((task) => !this.pendingDeletionIds.includes(task.entity_id))
+            .sort(comparePosition)
+          this.applyPageInfo(response.data)
+          offlineStore.saveTasks(this.tasks)
+
+          // The server is reachable again, so queued changes can go out
+          if (this.pendingMutations.length > 0 && !this.syncing) {
+            this.syncPendingMutations()
+          }
           return true
         } else {
           const errorMessage = this.extractErrorMessage(response, 'Failed to fetch tasks')
@@ -156,6 +544,9 @@ export const useTasksStore = defineStore('tasks', {
           return false
         }
       } catch (error) {
+        if (isNetworkError(error)) {
+          return this.loadCachedTasks()
+        }
         return this.handleApiError(error, 'Failed to fetch tasks')
       } finally {
         this.loading = false
@@ -163,198 +554,1505 @@ export const useTasksStore = defineStore('tasks', {
     },
 
     /**
-     * Add a new task
+     * Fetch the next page of tasks and append it to the list
      */
-    async addTask(payload) {
+    async loadMore() {
+      if (!this.hasMore || this.loading || this.loadingMore) {
+        return false
+      }
+
+      const cursor = this.nextCursor
+      this.loadingMore = true
       try {
-        // Validate payload
-        if (!payload || typeof payload !== 'object') {
-          this.showErrorNotification('Invalid task data')
+        const response = await this.fetchTaskPage(cursor)
+
+        // The list was refetched meanwhile, so this page no longer follows it
+        if (cursor !== this.nextCursor) {
           return false
         }
 
-        const response = await axios.post('/task/', payload)
-
         if (response.data?.success) {
-          this.showSuccessNotification(
-            response.data?.message || 'Task added successfully!',
+          const loadedIds = new Set(this.tasks.map((task) => task.entity_id))
+          const newTasks = (response.data.tasks || []).filter(
+            (task) =>
+              !loadedIds.has(task.entity_id) && !this.pendingDeletionIds.includes(task.entity_id),
           )
-          // Refetch tasks to ensure consistency with server state
-          await this.getTasks()
+          this.tasks = [...this.tasks, ...newTasks].sort(comparePosition)
+          this.applyPageInfo(response.data)
           return true
         } else {
-          const errorMessage = this.extractErrorMessage(response, 'Failed to add task')
+          const errorMessage = this.extractErrorMessage(response, 'Failed to load more tasks')
           this.showErrorNotification(errorMessage)
           return false
         }
       } catch (error) {
-        return this.handleApiError(error, 'Failed to add task')
+        return this.handleApiError(error, 'Failed to load more tasks')
+      } finally {
+        this.loadingMore = false
       }
     },
 
     /**
-     * Update an existing task
+     * Fetch a single task and merge it into the task list
      */
-    async updateTask(taskId, payload) {
+    async getTask(taskId) {
       if (!this.validateTaskId(taskId)) {
         return false
       }
 
       try {
-        // Validate payload
-        if (!payload || typeof payload !== 'object') {
-          this.showErrorNotification('Invalid task data')
-          return false
-        }
-
-        const response = await axios.put(`/task/${taskId}`, payload)
+        const response = await axios.get(`/task/${taskId}`)
 
-        if (response.data?.success) {
-          // Update local state optimistically
-          this.updateTaskInState(taskId, payload)
-
-          this.showSuccessNotification(
-            response.data?.message || 'Task updated successfully!',
-          )
+        if (response.data?.success && response.data.task) {
+          if (!this.updateTaskInState(taskId, response.data.task)) {
+            this.tasks.push(response.data.task)
+            this.tasks.sort(comparePosition)
+          }
           return true
         } else {
-          const errorMessage = this.extractErrorMessage(response, 'Failed to update task')
+          const errorMessage = this.extractErrorMessage(response, 'Task not found')
           this.showErrorNotification(errorMessage)
           return false
         }
       } catch (error) {
-        return this.handleApiError(error, 'Failed to update task')
+        return this.handleApiError(error, 'Failed to fetch task')
       }
     },
 
     /**
-     * Toggle task completion status
+     * Add a new task.
+     * Pass `silent` to skip the success notification, e.g. for tasks added in the background.
      */
-    async toggleTaskComplete(taskId) {
-      const task = this.tasks.find((t) => t.entity_id === taskId)
-
-      if (!task) {
-        this.showErrorNotification('Task not found')
+    async addTask(payload, { silent = false } = {}) {
+      // Validate payload
+      if (!payload || typeof payload !== 'object') {
+        this.showErrorNotification('Invalid task data')
         return false
       }
 
-      return await this.updateTask(taskId, {
-        completed: !task.completed,
-      })
+      const position = this.nextPosition
+      const data = { ...(position !== null ? { position } : {}), ...payload }
+
+      if (!this.isOnline) {
+        return this.addTaskOffline(data)
+      }
+
+      try {
+        const response = await axios.post('/task/', data)
+
+        if (response.data?.success) {
+          if (!silent) {
+            this.showSuccessNotification(
+              response.data?.message || 'Task added successfully!',
+            )
+          }
+          // Refetch tasks to ensure consistency with server state
+          await this.getTasks()
+          tabSync.publish(TASKS_SYNC_TOPIC, [{ type: 'tasks.refresh' }])
+          return true
+        } else {
+          const errorMessage = this.extractErrorMessage(response, 'Failed to add task')
+          this.showErrorNotification(errorMessage)
+          return false
+        }
+      } catch (error) {
+        if (isNetworkError(error)) {
+          return this.addTaskOffline(data)
+        }
+        return this.handleApiError(error, 'Failed to add task')
+      }
     },
 
     /**
-     * Delete a task
+     * Update an existing task.
+     * Pass `silent` to skip the success notification for background updates.
      */
-    async deleteTask(taskId) {
+    async updateTask(taskId, payload, { silent = false } = {}) {
       if (!this.validateTaskId(taskId)) {
         return false
       }
 
+      // Validate payload
+      if (!payload || typeof payload !== 'object') {
+        this.showErrorNotification('Invalid task data')
+        return false
+      }
+
+      // Show the change at once; it is rolled back if the server rejects it
+      const snapshot = this.applyOptimisticUpdate(taskId, payload)
+
+      if (this.shouldQueue(taskId)) {
+        this.queueMutation('update', taskId, payload)
+        this.persistOfflineState()
+        return true
+      }
+
       try {
-        const response = await axios.delete(`/task/${taskId}`)
+        const response = await this.saveTaskUpdate(taskId, payload)
 
         if (response.data?.success) {
-          // Remove from local state optimistically
-          this.removeTaskFromState(taskId)
-
-          this.showSuccessNotification(
-            response.data?.message || 'Task deleted successfully!',
-          )
+          this.broadcastTaskChanges([taskId])
+          if (!silent) {
+            this.showSuccessNotification(
+              response.data?.message || 'Task updated successfully!',
+            )
+          }
           return true
         } else {
-          const errorMessage = this.extractErrorMessage(response, 'Failed to delete task')
+          this.rollbackOptimisticUpdate(taskId, payload, snapshot)
+          const errorMessage = this.extractErrorMessage(response, 'Failed to update task')
           this.showErrorNotification(errorMessage)
           return false
         }
       } catch (error) {
-        return this.handleApiError(error, 'Failed to delete task')
+        if (isNetworkError(error)) {
+          this.queueMutation('update', taskId, payload)
+          this.persistOfflineState()
+          return true
+        }
+        this.rollbackOptimisticUpdate(taskId, payload, snapshot)
+        if (CONFLICT_STATUSES.includes(error.response?.status)) {
+          await this.openEditConflict(taskId, payload, error.response.data?.task)
+          return false
+        }
+        return this.handleApiError(error, 'Failed to update task')
       }
     },
 
     /**
-     * Set filter for task display
+     * Toggle task completion status.
+     * Completing a parent also completes its subtasks unless `completeSubtasks` is false.
+     * Completing a recurring task adds its next occurrence.
      */
-    setFilter(filter) {
-      if (Object.values(FILTER_TYPES).includes(filter)) {
-        this.filter = filter
-      } else {
-        console.warn(`Invalid filter type: ${filter}. Using default: ${FILTER_TYPES.ALL}`)
-        this.filter = FILTER_TYPES.ALL
+    async toggleTaskComplete(taskId, { completeSubtasks = true } = {}) {
+      const task = this.tasks.find((t) => t.entity_id === taskId)
+
+      if (!task) {
+        this.showErrorNotification('Task not found')
+        return false
+      }
+
+      const { payload, nextOccurrence } = getCompletionChange(task, !task.completed, {
+        completeSubtasks,
+      })
+
+      const success = await this.updateTask(taskId, payload, { silent: Boolean(nextOccurrence) })
+
+      if (success && nextOccurrence && (await this.addTask(nextOccurrence, { silent: true }))) {
+        this.showSuccessNotification(`Next occurrence due ${formatTaskDueDate(nextOccurrence)}`)
       }
+      return success
     },
 
     /**
-     * Toggle all tasks completion status
+     * Add a checklist item to a task
      */
-    async toggleAllTasks(completed) {
-      const tasksToUpdate = this.tasks.filter((task) => task.completed !== completed)
+    async addSubtask(taskId, title) {
+      const task = this.tasks.find((t) => t.entity_id === taskId)
 
-      if (tasksToUpdate.length === 0) {
-        return true
+      if (!task) {
+        this.showErrorNotification('Task not found')
+        return false
       }
 
-      try {
-        // Optimistically update local state
-        tasksToUpdate.forEach((task) => {
-          this.updateTaskInState(task.entity_id, { completed })
-        })
-
-        // Update all tasks on server
-        const updatePromises = tasksToUpdate.map((task) =>
-          axios.put(`/task/${task.entity_id}`, { completed }),
-        )
+      const trimmedTitle = title?.trim()
+      if (!trimmedTitle) {
+        return false
+      }
 
-        await Promise.all(updatePromises)
+      if (trimmedTitle.length > 200) {
+        this.showErrorNotification('Subtask title must be less than 200 characters')
+        return false
+      }
 
-        // Refetch to ensure consistency
-        await this.getTasks()
+      const payload = { subtasks: [...getSubtasks(task), createSubtask(trimmedTitle)] }
 
-        this.showSuccessNotification(
-          completed
-            ? 'All tasks marked as completed!'
-            : 'All tasks marked as active!',
-        )
-        return true
-      } catch (error) {
-        // Revert optimistic update on error
-        await this.getTasks()
-        return this.handleApiError(error, 'Failed to toggle all tasks')
+      // A new open item means the parent is no longer done
+      if (task.completed) {
+        payload.completed = false
       }
+
+      return await this.updateTask(taskId, payload)
     },
 
+    /**
+     * Toggle a checklist item's completion status.
+     * Reopening an item on a completed parent reopens the parent too.
+     */
+    async toggleSubtask(taskId, subtaskId) {
+      const task = this.tasks.find((t) => t.entity_id === taskId)
+      const subtask = getSubtasks(task).find((s) => s.id === subtaskId)
 
-    async clearCompleted() {
-      const completedTasks = this.tasks.filter((task) => task.completed)
+      if (!task || !subtask) {
+        this.showErrorNotification('Subtask not found')
+        return false
+      }
 
-      if (completedTasks.length === 0) {
-        return true
+      const completed = !subtask.completed
+      const payload = {
+        subtasks: getSubtasks(task).map((s) => (s.id === subtaskId ? { ...s, completed } : s)),
       }
 
-      try {
-        // Optimistically remove from local state
-        const taskIds = completedTasks.map((task) => task.entity_id)
-        taskIds.forEach((taskId) => {
-          this.removeTaskFromState(taskId)
-        })
+      if (!completed && task.completed) {
+        payload.completed = false
+      }
 
-        const deletePromises = completedTasks.map((task) =>
-          axios.delete(`/task/${task.entity_id}`),
-        )
+      return await this.updateTask(taskId, payload)
+    },
 
-        await Promise.all(deletePromises)
+    /**
+     * Remove a checklist item from a task
+     */
+    async removeSubtask(taskId, subtaskId) {
+      const task = this.tasks.find((t) => t.entity_id === taskId)
 
-        // Refetch to ensure consistency
-        await this.getTasks()
+      if (!task) {
+        this.showErrorNotification('Task not found')
+        return false
+      }
 
-        this.showSuccessNotification(
-          `Cleared ${completedTasks.length} completed task${completedTasks.length > 1 ? 's' : ''}!`,
-        )
-        return true
-      } catch (error) {
-        // Revert optimistic update on error
-        await this.getTasks()
-        return this.handleApiError(error, 'Failed to clear completed tasks')
+      return await this.updateTask(taskId, {
+        subtasks: getSubtasks(task).filter((s) => s.id !== subtaskId),
+      })
+    },
+
+    /**
+     * Delete a task.
+     * The task leaves the list right away; the request waits out the undo window.
+     */
+    async deleteTask(taskId) {
+      if (!this.validateTaskId(taskId)) {
+        return false
+      }
+
+      const task = this.tasks.find((t) => t.entity_id === taskId)
+
+      if (!task) {
+        this.showErrorNotification('Task not found')
+        return false
+      }
+
+      this.scheduleDeletion([task], 'Task moved to trash', 'Failed to delete task')
+      return true
+    },
+
+    /**
+     * Tell the user which tasks of a batch failed. A single failure shows
+     * the server's reason; several list the affected tasks.
+     */
+    showBatchFailures(failures, total, errorMessage) {
+      if (failures.length === 1) {
+        this.showErrorNotification(failures[0].message || errorMessage)
+        return
+      }
+
+      const titles = failures.slice(0, 3).map(({ task }) => `"${task.title}"`)
+      const more = failures.length - titles.length
+      Notify.create({
+        message: `${errorMessage} (${failures.length} of ${countTasks(total)})`,
+        caption: `${titles.join(', ')}${more > 0 ? ` and ${more} more` : ''}`,
+        color: 'negative',
+      })
+    },
+
+    /**
+     * Send a single task update, delete or purge, resolving to `{ success, message }`
+     */
+    async sendTaskOperation({ action, taskId, payload }) {
+      try {
+        let response
+        if (action === 'update') {
+          response = await this.saveTaskUpdate(taskId, payload)
+        } else if (action === 'purge') {
+          response = await axios.delete(`/task/${taskId}/purge`)
+        } else {
+          response = await axios.delete(`/task/${taskId}`)
+        }
+        return { success: Boolean(response.data?.success), message: response.data?.message }
+      } catch (error) {
+        return {
+          success: false,
+          message: error.response?.data?.message || error.response?.data?.error || error.message,
+          offline: isNetworkError(error),
+          conflict: CONFLICT_STATUSES.includes(error.response?.status),
+          // Their version of the task, when the server includes it with a conflict
+          task: error.response?.data?.task,
+        }
+      }
+    },
+
+    /**
+     * Send operations to the bulk endpoint in one request. Resolves to a
+     * result per operation, or null when the server has no bulk endpoint.
+     */
+    async sendTaskBatch(operations) {
+      try {
+        const response = await axios.post('/task/batch', {
+          operations: operations.map(({ action, taskId, payload }) => ({
+            action,
+            entity_id: taskId,
+            ...(payload ? { data: this.getVersionedPayload(taskId, payload) } : {}),
+          })),
+        })
+
+        // Results come back in the order of the operations
+        const results = response.data?.results || []
+        return operations.map((operation, index) => {
+          const result = results[index]
+          if (operation.action === 'update' && result?.success) {
+            this.recordTaskVersion(operation.taskId, result.task)
+          }
+          return {
+            success: Boolean(result?.success),
+            message: result?.message || response.data?.message,
+            conflict: CONFLICT_STATUSES.includes(result?.status),
+          }
+        })
+      } catch (error) {
+        if (BATCH_UNSUPPORTED_STATUSES.includes(error.response?.status)) {
+          this.batchSupported = false
+          return null
+        }
+
+        const message = error.response?.data?.message || error.message
+        const offline = isNetworkError(error)
+        return operations.map(() => ({ success: false, message, offline }))
+      }
+    },
+
+    /**
+     * Run task operations (`{ action: 'update' | 'delete' | 'purge', taskId, payload }`),
+     * queueing those that cannot reach the server for the next sync.
+     * Resolves to `{ success, message }` per operation, in order, so callers
+     * can handle partial failures; queued operations count as successful.
+     */
+    async runTaskOperations(operations) {
+      const results = new Array(operations.length)
+      const sendIndexes = []
+      operations.forEach((operation, index) => {
+        if (this.shouldQueue(operation.taskId)) {
+          results[index] = { success: false, offline: true }
+        } else {
+          sendIndexes.push(index)
+        }
+      })
+
+      const sentResults = await this.sendTaskOperations(
+        sendIndexes.map((index) => operations[index]),
+      )
+      sendIndexes.forEach((operationIndex, index) => {
+        results[operationIndex] = sentResults[index]
+      })
+
+      const finalResults = results.map((result, index) => {
+        if (!result.offline) return result
+
+        const { action, taskId, payload } = operations[index]
+        this.queueMutation(action, taskId, payload)
+        return { success: true, queued: true }
+      })
+
+      if (finalResults.some((result) => result.queued)) {
+        this.persistOfflineState()
+      }
+      return finalResults
+    },
+
+    /**
+     * Send task operations through the bulk endpoint in chunks, or as a few
+     * parallel single requests when it is unavailable
+     */
+    async sendTaskOperations(operations) {
+      const results = []
+      let remaining = operations
+
+      // A lone operation goes through the regular endpoint
+      while (remaining.length > 1 && this.batchSupported) {
+        const batch = remaining.slice(0, BATCH_SIZE)
+        const batchResults = await this.sendTaskBatch(batch)
+        if (!batchResults) break
+
+        results.push(...batchResults)
+        remaining = remaining.slice(BATCH_SIZE)
+      }
+
+      const singleResults = await mapWithConcurrency(remaining, BATCH_CONCURRENCY, (operation) =>
+        this.sendTaskOperation(operation),
+      )
+      return [...results, ...singleResults]
+    },
+
+    /**
+     * Remove tasks from the list and delete them on the server once the
+     * undo window passes, unless the user clicks "Undo" first
+     */
+    scheduleDeletion(tasks, message, errorMessage) {
+      const taskIds = tasks.map((task) => task.entity_id)
+      taskIds.forEach((taskId) => this.removeTaskFromState(taskId))
+      this.pendingDeletionIds.push(...taskIds)
+
+      const timer = setTimeout(() => {
+        this.commitDeletion(tasks, errorMessage)
+      }, UNDO_TIMEOUT)
+
+      this.showUndoNotification(message, () => {
+        clearTimeout(timer)
+        this.restoreTasks(tasks)
+      })
+    },
+
+    /**
+     * Send the delete requests for tasks whose undo window has passed.
+     * Deletes are soft: the server marks the entity inactive, so the task
+     * moves to the trash. Tasks the server refuses to delete are put back.
+     */
+    async commitDeletion(tasks, errorMessage = 'Failed to delete task') {
+      const results = await this.runTaskOperations(
+        tasks.map((task) => ({ action: 'delete', taskId: task.entity_id })),
+      )
+
+      const taskIds = tasks.map((task) => task.entity_id)
+      this.pendingDeletionIds = this.pendingDeletionIds.filter((id) => !taskIds.includes(id))
+
+      const failures = results
+        .map((result, index) => ({ ...result, task: tasks[index] }))
+        .filter((result) => !result.success)
+
+      const deletedTasks = tasks.filter((task) => !failures.some((f) => f.task === task))
+      this.broadcastTaskChanges(deletedTasks.map((task) => task.entity_id))
+      this.trashedTasks = [
+        ...deletedTasks.map((task) => ({ ...task, active: false })),
+        ...this.trashedTasks.filter((task) => !taskIds.includes(task.entity_id)),
+      ]
+
+      if (failures.length === 0) {
+        return true
+      }
+
+      this.restoreTasks(failures.map(({ task }) => task))
+      this.showBatchFailures(failures, tasks.length, errorMessage)
+      return false
+    },
+
+    /**
+     * Put tasks back into the list after an undo or a failed delete
+     */
+    restoreTasks(tasks) {
+      const taskIds = tasks.map((task) => task.entity_id)
+      this.pendingDeletionIds = this.pendingDeletionIds.filter((id) => !taskIds.includes(id))
+
+      tasks.forEach((task) => {
+        if (this.findTaskIndex(task.entity_id) === -1) {
+          this.tasks.push(task)
+        }
+      })
+      this.tasks.sort(comparePosition)
+    },
+
+    /**
+     * Check whether a change to a task has to wait in the offline queue:
+     * while offline, and while earlier changes to the task are still queued
+     */
+    shouldQueue(taskId) {
+      return !this.isOnline || this.pendingSyncTaskIds.includes(taskId)
+    },
+
+    /**
+     * Queue a change for the next sync. Changes to a task the server has not
+     * created yet are folded into its queued add instead.
+     */
+    queueMutation(action, taskId, payload = null) {
+      const queued = this.pendingMutations
+      // While syncing, the first queued change is in flight and must stay as sent
+      const pendingAdd = queued.find(
+        (mutation, index) =>
+          mutation.action === 'add' && mutation.taskId === taskId && !(this.syncing && index === 0),
+      )
+
+      if (pendingAdd && action === 'update') {
+        pendingAdd.payload = { ...pendingAdd.payload, ...payload }
+        return
+      }
+
+      if (pendingAdd && (action === 'delete' || action === 'purge')) {
+        this.pendingMutations = queued.filter((mutation) => mutation.taskId !== taskId)
+        return
+      }
+
+      const seq = (queued[queued.length - 1]?.seq || 0) + 1
+      this.pendingMutations = [
+        ...queued,
+        { seq, action, taskId, payload, queuedAt: new Date().toISOString() },
+      ]
+    },
+
+    /**
+     * Apply queued changes to a task list, so a fetched or cached list
+     * shows what the user did offline
+     */
+    applyPendingMutations(tasks) {
+      return this.pendingMutations.reduce((result, mutation) => {
+        const { action, taskId, payload } = mutation
+        if (action === 'add') {
+          return result.some((task) => task.entity_id === taskId)
+            ? result
+            : [...result, toLocalTask(mutation)]
+        }
+        if (action === 'update') {
+          return result.map((task) => (task.entity_id === taskId ? { ...task, ...payload } : task))
+        }
+        return result.filter((task) => task.entity_id !== taskId)
+      }, tasks)
+    },
+
+    /**
+     * Save the task list and the queued changes, so both survive a reload
+     */
+    persistOfflineState() {
+      return Promise.all([
+        offlineStore.saveTasks(this.tasks),
+        offlineStore.saveMutations(this.pendingMutations),
+      ])
+    },
+
+    /**
+     * Show the cached task list while the server cannot be reached
+     */
+    async loadCachedTasks() {
+      const cachedTasks = await offlineStore.getTasks()
+      this.tasks = this.applyPendingMutations(cachedTasks)
+        .filter((task) => !this.pendingDeletionIds.includes(task.entity_id))
+        .sort(comparePosition)
+      return true
+    },
+
+    /**
+     * Add a task locally and queue its creation for the next sync
+     */
+    addTaskOffline(payload, { silent = false } = {}) {
+      const taskId = `${LOCAL_ID_PREFIX}${generateSubtaskId()}`
+      this.queueMutation('add', taskId, payload)
+      this.tasks.push(toLocalTask(this.pendingMutations[this.pendingMutations.length - 1]))
+      this.tasks.sort(comparePosition)
+      this.persistOfflineState()
+      if (!silent) {
+        this.showSuccessNotification('Task saved offline, it will sync when you reconnect')
+      }
+      return true
+    },
+
+    /**
+     * Restore the changes queued in an earlier session
+     */
+    async loadOfflineQueue() {
+      this.pendingMutations = await offlineStore.getMutations()
+    },
+
+    /**
+     * Record a connectivity change, syncing queued changes once back online
+     */
+    async setOnline(isOnline) {
+      this.isOnline = isOnline
+      return isOnline ? this.syncPendingMutations() : true
+    },
+
+    /**
+     * Send a queued add, moving later changes to the id the server assigns
+     */
+    async sendQueuedAdd({ taskId, payload }) {
+      try {
+        const response = await axios.post('/task/', payload)
+
+        if (!response.data?.success) {
+          return { success: false, message: response.data?.message }
+        }
+
+        const serverId = response.data.task?.entity_id ?? response.data.entity_id
+        if (serverId) {
+          this.pendingMutations.forEach((mutation) => {
+            if (mutation.taskId === taskId) mutation.taskId = serverId
+          })
+          this.updateTaskInState(taskId, { entity_id: serverId })
+        }
+        return { success: true }
+      } catch (error) {
+        return {
+          success: false,
+          message: error.response?.data?.message || error.response?.data?.error || error.message,
+          offline: isNetworkError(error),
+        }
+      }
+    },
+
+    /**
+     * Replay queued changes in order. Changes the server rejects, for example
+     * because the task was deleted elsewhere meanwhile, are dropped and
+     * reported; losing the connection again stops the replay until next time.
+     */
+    async syncPendingMutations() {
+      if (this.syncing || !this.isOnline || this.pendingMutations.length === 0) {
+        return true
+      }
+
+      this.syncing = true
+      const conflicts = []
+      let synced = 0
+      try {
+        while (this.pendingMutations.length > 0) {
+          const mutation = this.pendingMutations[0]
+          const result =
+            mutation.action === 'add'
+              ? await this.sendQueuedAdd(mutation)
+              : await this.sendTaskOperation(mutation)
+
+          if (result.offline) break
+
+          if (result.conflict && mutation.action === 'update') {
+            // Let the user merge rather than dropping the offline change
+            await this.openEditConflict(mutation.taskId, mutation.payload, result.task)
+          } else if (!result.success) {
+            conflicts.push({ ...result, mutation })
+          }
+          synced++
+          this.pendingMutations = this.pendingMutations.filter((m) => m.seq !== mutation.seq)
+          await offlineStore.saveMutations(this.pendingMutations)
+        }
+      } finally {
+        this.syncing = false
+      }
+
+      if (conflicts.length > 0) {
+        this.showSyncConflicts(conflicts)
+      }
+
+      // Replace optimistic local state with what the server now holds
+      if (synced > 0) {
+        await this.getTasks()
+      }
+      return conflicts.length === 0
+    },
+
+    /**
+     * Tell the user which offline changes the server refused
+     */
+    showSyncConflicts(conflicts) {
+      const knownTasks = [...this.tasks, ...this.trashedTasks]
+      const titles = conflicts.slice(0, 3).map(({ mutation }) => {
+        const task = knownTasks.find((t) => t.entity_id === mutation.taskId)
+        return `"${task?.title || mutation.payload?.title || 'Untitled task'}"`
+      })
+      const more = conflicts.length - titles.length
+
+      Notify.create({
+        message:
+          conflicts.length === 1
+            ? `An offline change could not be saved: ${conflicts[0].message || 'rejected by the server'}`
+            : `${conflicts.length} offline changes could not be saved`,
+        caption: `${titles.join(', ')}${more > 0 ? ` and ${more} more` : ''}`,
+        color: 'negative',
+      })
+    },
+
+    /**
+     * Forget cached tasks and queued changes, e.g. when the user signs out
+     */
+    async clearOfflineData() {
+      this.pendingMutations = []
+      await offlineStore.clear()
+    },
+
+    /**
+     * Subscribe to changes made elsewhere, e.g. by a teammate or on another device
+     */
+    subscribeRealtime(token) {
+      return realtimeService.connect({
+        token,
+        onEvent: (event) => this.applyRealtimeEvent(event),
+        onStatusChange: (status) => {
+          // Events sent while the connection was down are lost, so catch up
+          if (status === 'connected' && this.realtimeStatus === 'reconnecting') {
+            this.getTasks()
+          }
+          this.realtimeStatus = status
+        },
+      })
+    },
+
+    /**
+     * Stop receiving changes, e.g. when the user signs out
+     */
+    unsubscribeRealtime() {
+      realtimeService.disconnect()
+    },
+
+    /**
+     * Apply a `task.created`, `task.updated` or `task.deleted` event from the
+     * realtime channel to the task list
+     */
+    applyRealtimeEvent(event) {
+      const taskId = event?.task?.entity_id ?? event?.entity_id
+      if (!taskId) {
+        return false
+      }
+
+      // Local changes that have not reached the server yet take precedence
+      if (this.pendingSyncTaskIds.includes(taskId) || this.pendingDeletionIds.includes(taskId)) {
+        return false
+      }
+
+      switch (event.type) {
+        case 'task.created':
+        case 'task.updated':
+          // Without the task there is nothing to put in the list
+          if (!event.task) {
+            return false
+          }
+          // Soft-deleted tasks arrive as updates marking them inactive
+          if (event.task.active === false) {
+            return this.removeRealtimeTask(taskId)
+          }
+          if (!this.updateTaskInState(taskId, event.task)) {
+            this.tasks.push(event.task)
+          }
+          this.tasks.sort(comparePosition)
+          return true
+        case 'task.deleted':
+          return this.removeRealtimeTask(taskId)
+        default:
+          return false
+      }
+    },
+
+    /**
+     * Remove a task deleted elsewhere from the list and the selection
+     */
+    removeRealtimeTask(taskId) {
+      this.selectedTaskIds = this.selectedTaskIds.filter((id) => id !== taskId)
+      return this.removeTaskFromState(taskId)
+    },
+
+    /**
+     * Tell other open tabs about changed tasks: tasks still in the list are
+     * sent as updated, the others as deleted
+     */
+    broadcastTaskChanges(taskIds) {
+      if (taskIds.length === 0) return
+
+      const events = taskIds.map((taskId) => {
+        const task = this.tasks.find((t) => t.entity_id === taskId)
+        return task ? { type: 'task.updated', task } : { type: 'task.deleted', entity_id: taskId }
+      })
+      tabSync.publish(TASKS_SYNC_TOPIC, events)
+    },
+
+    /**
+     * Apply task changes sent by another open tab
+     */
+    receiveTaskChanges(events) {
+      if (!Array.isArray(events)) return
+
+      if (events.some((event) => event.type === 'tasks.refresh')) {
+        this.getTasks()
+        return
+      }
+      events.forEach((event) => this.applyRealtimeEvent(event))
+    },
+
+    /**
+     * Record an update the server refused because the task changed elsewhere,
+     * showing their version of the task until the user resolves the conflict.
+     * Fetches their version when the conflict response does not include it.
+     */
+    async openEditConflict(taskId, yours, theirs = null) {
+      let serverTask = theirs
+      if (!serverTask) {
+        try {
+          const response = await axios.get(`/task/${taskId}`)
+          serverTask = response.data?.success ? response.data.task : null
+        } catch {
+          serverTask = null
+        }
+      }
+
+      if (!serverTask) {
+        this.showErrorNotification('This task was changed elsewhere, reload to see the changes')
+        return false
+      }
+
+      this.updateTaskInState(taskId, serverTask)
+
+      // Changes that match their version are no longer in conflict
+      const existing = this.editConflicts.find((conflict) => conflict.taskId === taskId)
+      const mergedYours = { ...existing?.yours, ...yours }
+      const conflictingFields = getConflictingFields(mergedYours, serverTask)
+      this.editConflicts = this.editConflicts.filter((conflict) => conflict.taskId !== taskId)
+
+      if (conflictingFields.length === 0) {
+        return false
+      }
+
+      const pendingYours = Object.fromEntries(
+        conflictingFields.map((field) => [field, mergedYours[field]]),
+      )
+      this.editConflicts.push({ taskId, yours: pendingYours, theirs: serverTask })
+      return true
+    },
+
+    /**
+     * Save the merged change for a conflict; an empty change keeps their version
+     */
+    async resolveEditConflict(taskId, payload) {
+      this.dismissEditConflict(taskId)
+
+      if (!payload || Object.keys(payload).length === 0) {
+        return true
+      }
+      return this.updateTask(taskId, payload)
+    },
+
+    /**
+     * Drop a conflict, keeping their version of the task
+     */
+    dismissEditConflict(taskId) {
+      this.editConflicts = this.editConflicts.filter((conflict) => conflict.taskId !== taskId)
+    },
+
+    /**
+     * Fetch soft-deleted (inactive) tasks for the trash view
+     */
+    async getTrashedTasks() {
+      this.trashLoading = true
+      try {
+        const response = await axios.get('/task/trash')
+
+        if (response.data?.success) {
+          this.trashedTasks = response.data.tasks || []
+          return true
+        } else {
+          const errorMessage = this.extractErrorMessage(response, 'Failed to fetch trash')
+          this.showErrorNotification(errorMessage)
+          return false
+        }
+      } catch (error) {
+        return this.handleApiError(error, 'Failed to fetch trash')
+      } finally {
+        this.trashLoading = false
+      }
+    },
+
+    /**
+     * Restore a soft-deleted task back into the task list
+     */
+    async restoreTask(taskId) {
+      if (!this.validateTaskId(taskId)) {
+        return false
+      }
+
+      try {
+        const response = await axios.post(`/task/${taskId}/restore`)
+
+        if (response.data?.success) {
+          const trashed = this.trashedTasks.find((task) => task.entity_id === taskId)
+          this.trashedTasks = this.trashedTasks.filter((task) => task.entity_id !== taskId)
+
+          const restored = response.data.task || (trashed && { ...trashed, active: true })
+          if (restored) {
+            this.restoreTasks([restored])
+            this.broadcastTaskChanges([taskId])
+          }
+
+          this.showSuccessNotification(response.data?.message || 'Task restored!')
+          return true
+        } else {
+          const errorMessage = this.extractErrorMessage(response, 'Failed to restore task')
+          this.showErrorNotification(errorMessage)
+          return false
+        }
+      } catch (error) {
+        return this.handleApiError(error, 'Failed to restore task')
+      }
+    },
+
+    /**
+     * Permanently delete a task from the trash
+     */
+    async purgeTask(taskId) {
+      if (!this.validateTaskId(taskId)) {
+        return false
+      }
+
+      try {
+        const response = await axios.delete(`/task/${taskId}/purge`)
+
+        if (response.data?.success) {
+          this.trashedTasks = this.trashedTasks.filter((task) => task.entity_id !== taskId)
+
+          this.showSuccessNotification(response.data?.message || 'Task permanently deleted!')
+          return true
+        } else {
+          const errorMessage = this.extractErrorMessage(response, 'Failed to delete task')
+          this.showErrorNotification(errorMessage)
+          return false
+        }
+      } catch (error) {
+        return this.handleApiError(error, 'Failed to delete task')
+      }
+    },
+
+    /**
+     * Permanently delete every task in the trash
+     */
+    async emptyTrash() {
+      const trashedTasks = [...this.trashedTasks]
+
+      if (trashedTasks.length === 0) {
+        return true
+      }
+
+      const results = await this.runTaskOperations(
+        trashedTasks.map((task) => ({ action: 'purge', taskId: task.entity_id })),
+      )
+
+      const failures = results
+        .map((result, index) => ({ ...result, task: trashedTasks[index] }))
+        .filter((result) => !result.success)
+      const purgedIds = trashedTasks
+        .filter((task) => !failures.some((f) => f.task === task))
+        .map((task) => task.entity_id)
+      this.trashedTasks = this.trashedTasks.filter((task) => !purgedIds.includes(task.entity_id))
+
+      if (failures.length > 0) {
+        this.showBatchFailures(failures, trashedTasks.length, 'Failed to empty trash')
+        return false
+      }
+
+      this.showSuccessNotification(`Permanently deleted ${countTasks(trashedTasks.length)}!`)
+      return true
+    },
+
+    /**
+     * Fetch the version trail of a task, newest first
+     */
+    async getTaskHistory(taskId) {
+      if (!this.validateTaskId(taskId)) {
+        return false
+      }
+
+      this.historyLoading = true
+      try {
+        const response = await axios.get(`/task/${taskId}/versions`)
+
+        if (response.data?.success) {
+          this.taskHistory = {
+            ...this.taskHistory,
+            [taskId]: sortVersions(response.data.versions),
+          }
+          return true
+        } else {
+          const errorMessage = this.extractErrorMessage(response, 'Failed to fetch task history')
+          this.showErrorNotification(errorMessage)
+          return false
+        }
+      } catch (error) {
+        return this.handleApiError(error, 'Failed to fetch task history')
+      } finally {
+        this.historyLoading = false
+      }
+    },
+
+    /**
+     * Revert a task to the state saved in one of its earlier versions.
+     * The revert is saved as a new version, so it can be undone the same way.
+     */
+    async revertTask(taskId, version) {
+      if (!version || typeof version !== 'object') {
+        this.showErrorNotification('Version not found')
+        return false
+      }
+
+      const success = await this.updateTask(taskId, getRevertPayload(version), { silent: true })
+
+      if (success) {
+        this.showSuccessNotification('Task reverted to an earlier version')
+        await this.getTaskHistory(taskId)
+      }
+      return success
+    },
+
+    /**
+     * Set filter for task display.
+     * Pass `refresh: false` to leave refetching a partial list to the caller.
+     */
+    setFilter(filter, { refresh = true } = {}) {
+      if (Object.values(FILTER_TYPES).includes(filter)) {
+        this.filter = filter
+      } else {
+        console.warn(`Invalid filter type: ${filter}. Using default: ${FILTER_TYPES.ALL}`)
+        this.filter = FILTER_TYPES.ALL
+      }
+      return refresh ? this.refreshView() : true
+    },
+
+    /**
+     * Set sort order for task display
+     */
+    setSortBy(sortBy, { refresh = true } = {}) {
+      if (Object.values(SORT_TYPES).includes(sortBy)) {
+        this.sortBy = sortBy
+      } else {
+        console.warn(`Invalid sort type: ${sortBy}. Using default: ${SORT_TYPES.MANUAL}`)
+        this.sortBy = SORT_TYPES.MANUAL
+      }
+      return refresh ? this.refreshView() : true
+    },
+
+    /**
+     * Set the tags used to narrow task display
+     */
+    setTagFilter(tags, { refresh = true } = {}) {
+      this.tagFilter = normalizeTags(tags)
+      return refresh ? this.refreshView() : true
+    },
+
+    /**
+     * Add or remove a single tag from the tag filter
+     */
+    toggleTagFilter(tag) {
+      const normalized = normalizeTag(tag)
+      if (!normalized) return
+
+      if (this.tagFilter.includes(normalized)) {
+        this.tagFilter = this.tagFilter.filter((t) => t !== normalized)
+      } else {
+        this.tagFilter = [...this.tagFilter, normalized]
+      }
+      return this.refreshView()
+    },
+
+    /**
+     * A partial task list cannot be filtered or sorted locally, so the view is
+     * fetched from the server instead, the same way as a search
+     */
+    async refreshView() {
+      if (!this.hasMore && !this.remoteView) {
+        return true
+      }
+
+      const viewParams = getViewParams(this)
+      if (JSON.stringify(viewParams) === JSON.stringify(this.remoteView)) {
+        return true
+      }
+
+      this.remoteView = viewParams
+      return this.getTasks()
+    },
+
+    /**
+     * Restore filter, sort, tags and search from URL query parameters,
+     * as produced by the viewQuery getter
+     */
+    async applyViewQuery(query = {}) {
+      const first = (value) => (Array.isArray(value) ? value[0] : value)
+
+      // Refetch a partial list once for the whole view, not once per setting
+      this.setFilter(first(query.filter) || FILTER_TYPES.ALL, { refresh: false })
+      this.setSortBy(first(query.sort) || SORT_TYPES.MANUAL, { refresh: false })
+      this.setTagFilter([].concat(query.tag ?? []), { refresh: false })
+      const searched = await this.setSearchQuery(first(query.q) || '')
+      return searched && this.refreshView()
+    },
+
+    /**
+     * Set the text used to search task titles, notes and tags.
+     * A partial task list cannot be searched locally, so the search is sent
+     * to the server instead.
+     */
+    async setSearchQuery(query) {
+      const searchQuery = typeof query === 'string' ? query.trim() : ''
+      if (searchQuery === this.searchQuery) return true
+
+      this.searchQuery = searchQuery
+
+      if (!this.hasMore && !this.remoteSearch) {
+        return true
+      }
+
+      this.remoteSearch = parseSearchTerms(searchQuery).length > 0
+      this.remoteView = getViewParams(this)
+      return this.getTasks()
+    },
+
+    /**
+     * Give every task an evenly spaced position, following the current manual order
+     */
+    async normalizePositions() {
+      const ordered = [...this.tasks].sort(comparePosition)
+      const positions = new Map()
+
+      ordered.forEach((task, index) => {
+        const position = (index + 1) * POSITION_STEP
+        if (task.position !== position) {
+          positions.set(task.entity_id, position)
+        }
+      })
+
+      return this.bulkUpdateTasks(
+        [...positions.keys()],
+        (task) => ({ position: positions.get(task.entity_id) }),
+        null,
+      )
+    },
+
+    /**
+     * Move a task to a new index within the visible, manually ordered list
+     */
+    async moveTask(taskId, toIndex) {
+      if (this.sortBy !== SORT_TYPES.MANUAL) {
+        this.showErrorNotification('Switch to manual order to rearrange tasks')
+        return false
+      }
+
+      const task = this.tasks.find((t) => t.entity_id === taskId)
+      if (!task) {
+        this.showErrorNotification('Task not found')
+        return false
+      }
+
+      const getNeighbours = () => {
+        const others = this.visibleTasks.filter((t) => t.entity_id !== taskId)
+        const index = Math.max(0, Math.min(toIndex, others.length))
+        return [others[index - 1], others[index]]
+      }
+
+      let [prev, next] = getNeighbours()
+
+      // Make room first if the neighbours have no positions or sit too close together
+      const needsRenumbering =
+        (prev && !hasPosition(prev)) ||
+        (next && !hasPosition(next)) ||
+        (prev && next && next.position - prev.position < MIN_POSITION_GAP)
+
+      if (needsRenumbering) {
+        if (!(await this.normalizePositions())) {
+          return false
+        }
+        ;[prev, next] = getNeighbours()
+      }
+
+      let position
+      if (prev && next) {
+        position = (prev.position + next.position) / 2
+      } else if (prev) {
+        position = prev.position + POSITION_STEP
+      } else if (next) {
+        position = next.position - POSITION_STEP
+      } else {
+        return true
+      }
+
+      if (position === task.position) {
+        return true
+      }
+
+      const success = await this.updateTask(taskId, { position }, { silent: true })
+      // The position is already applied, or rolled back if the move failed
+      this.tasks.sort(comparePosition)
+      return success
+    },
+
+    /**
+     * Toggle the completion status of all loaded tasks
+     */
+    async toggleAllTasks(completed) {
+      const taskIds = this.tasks
+        .filter((task) => task.completed !== completed)
+        .map((task) => task.entity_id)
+
+      if (taskIds.length === 0) {
+        return true
+      }
+
+      // Tasks on pages not loaded yet keep their status
+      const scope = this.hasMore ? 'All loaded tasks' : 'All tasks'
+      return await this.completeTasks(
+        taskIds,
+        completed,
+        `${scope} marked as ${completed ? 'completed' : 'active'}!`,
+        { completeSubtasks: false },
+      )
+    },
+
+    /**
+     * Complete or reopen several tasks in one bulk update, adding the next
+     * occurrence of each recurring task that was completed
+     */
+    async completeTasks(taskIds, completed, successMessage, { completeSubtasks = true } = {}) {
+      const nextOccurrences = new Map()
+      const success = await this.bulkUpdateTasks(
+        taskIds,
+        (task) => {
+          const change = getCompletionChange(task, completed, { completeSubtasks })
+          if (change.nextOccurrence) nextOccurrences.set(task.entity_id, change.nextOccurrence)
+          return change.payload
+        },
+        successMessage,
+      )
+
+      // Failed updates were rolled back, so their tasks still carry the rule
+      for (const [taskId, nextOccurrence] of nextOccurrences) {
+        const task = this.tasks.find((t) => t.entity_id === taskId)
+        if (task?.completed && !task.recurrence) {
+          await this.addTask(nextOccurrence, { silent: true })
+        }
+      }
+      return success
+    },
+
+    /**
+     * Clear all loaded completed tasks, with a single undo for the whole batch
+     */
+    async clearCompleted() {
+      const completedTasks = this.tasks.filter((task) => task.completed)
+
+      if (completedTasks.length === 0) {
+        return true
+      }
+
+      const count = completedTasks.length
+      this.scheduleDeletion(
+        completedTasks,
+        `Cleared ${count} ${this.hasMore ? 'loaded ' : ''}completed task${count > 1 ? 's' : ''}`,
+        'Failed to clear completed tasks',
+      )
+      return true
+    },
+
+    /**
+     * Select or deselect a task. With `range`, selects every visible task
+     * between the previously clicked task and this one.
+     */
+    toggleTaskSelection(taskId, { range = false } = {}) {
+      const visibleIds = this.visibleTasks.map((task) => task.entity_id)
+      const anchorIndex = visibleIds.indexOf(this.selectionAnchorId)
+      const index = visibleIds.indexOf(taskId)
+
+      if (range && anchorIndex !== -1 && index !== -1) {
+        const from = Math.min(anchorIndex, index)
+        const to = Math.max(anchorIndex, index)
+        this.selectedTaskIds = [
+          ...new Set([...this.selectedTaskIds, ...visibleIds.slice(from, to + 1)]),
+        ]
+        return
+      }
+
+      if (this.selectedTaskIds.includes(taskId)) {
+        this.selectedTaskIds = this.selectedTaskIds.filter((id) => id !== taskId)
+      } else {
+        this.selectedTaskIds = [...this.selectedTaskIds, taskId]
+      }
+      this.selectionAnchorId = taskId
+    },
+
+    /**
+     * Select every visible task
+     */
+    selectAllVisible() {
+      this.selectedTaskIds = this.visibleTasks.map((task) => task.entity_id)
+    },
+
+    /**
+     * Deselect all tasks
+     */
+    clearSelection() {
+      this.selectedTaskIds = []
+      this.selectionAnchorId = null
+    },
+
+    /**
+     * Update several tasks at once. `payload` is either the update for every
+     * task or a function building the update for a given task.
+     * Reports one notification for the whole batch; a `null` success message
+     * only reports failures.
+     */
+    async bulkUpdateTasks(taskIds, payload, successMessage = 'Tasks updated') {
+      const tasks = this.tasks.filter((task) => taskIds.includes(task.entity_id))
+
+      if (tasks.length === 0) {
+        return true
+      }
+
+      const operations = tasks.map((task) => ({
+        action: 'update',
+        taskId: task.entity_id,
+        payload: typeof payload === 'function' ? payload(task) : payload,
+      }))
+      const snapshots = operations.map((operation) =>
+        this.applyOptimisticUpdate(operation.taskId, operation.payload),
+      )
+      const results = await this.runTaskOperations(operations)
+
+      // Only the tasks the server rejected go back to how they were
+      const failures = []
+      results.forEach((result, index) => {
+        if (!result.success) {
+          const operation = operations[index]
+          this.rollbackOptimisticUpdate(operation.taskId, operation.payload, snapshots[index])
+          failures.push({ ...result, task: tasks[index] })
+        }
+      })
+
+      this.broadcastTaskChanges(
+        tasks.filter((task) => !failures.some((f) => f.task === task)).map((task) => task.entity_id),
+      )
+
+      if (failures.length > 0) {
+        this.showBatchFailures(failures, tasks.length, 'Failed to update tasks')
+        return false
+      }
+
+      if (successMessage) {
+        this.showSuccessNotification(successMessage)
+      }
+      return true
+    },
+
+    /**
+     * Complete or reopen several tasks; completing also completes their subtasks
+     */
+    async setTasksCompleted(taskIds, completed) {
+      const ids = this.tasks
+        .filter((task) => taskIds.includes(task.entity_id) && task.completed !== completed)
+        .map((task) => task.entity_id)
+
+      return await this.completeTasks(
+        ids,
+        completed,
+        `${completed ? 'Completed' : 'Reopened'} ${countTasks(ids.length)}`,
+      )
+    },
+
+    /**
+     * Add tags to several tasks, keeping the tags they already have
+     */
+    async addTagsToTasks(taskIds, tags) {
+      const newTags = normalizeTags(tags)
+      if (newTags.length === 0) {
+        return true
+      }
+
+      const ids = this.tasks
+        .filter((task) => taskIds.includes(task.entity_id))
+        .filter((task) => newTags.some((tag) => !normalizeTags(task.tags).includes(tag)))
+        .map((task) => task.entity_id)
+
+      return await this.bulkUpdateTasks(
+        ids,
+        (task) => ({ tags: normalizeTags([...normalizeTags(task.tags), ...newTags]) }),
+        `Tagged ${countTasks(ids.length)}`,
+      )
+    },
+
+    /**
+     * Set the priority of several tasks
+     */
+    async setTasksPriority(taskIds, priority) {
+      if (!isValidPriority(priority)) {
+        this.showErrorNotification('Invalid priority')
+        return false
+      }
+
+      return await this.bulkUpdateTasks(
+        taskIds,
+        { priority },
+        `Updated priority of ${countTasks(taskIds.length)}`,
+      )
+    },
+
+    /**
+     * Set or clear the due date of several tasks
+     */
+    async setTasksDueDate(taskIds, { due_date = null, due_time = null } = {}) {
+      return await this.bulkUpdateTasks(
+        taskIds,
+        { due_date, due_time: due_date ? due_time : null },
+        `Rescheduled ${countTasks(taskIds.length)}`,
+      )
+    },
+
+    /**
+     * Delete several tasks, with a single undo for the whole batch
+     */
+    async deleteTasks(taskIds) {
+      const tasks = this.tasks.filter((task) => taskIds.includes(task.entity_id))
+
+      if (tasks.length === 0) {
+        return true
+      }
+
+      this.selectedTaskIds = this.selectedTaskIds.filter((id) => !taskIds.includes(id))
+      this.scheduleDeletion(tasks, `Deleted ${countTasks(tasks.length)}`, 'Failed to delete tasks')
+      return true
+    },
+
+    /**
+     * Create a single imported task, queueing it when the server is out of reach.
+     * Resolves to `{ success, message }`.
+     */
+    async sendImportedTask(payload) {
+      if (!this.isOnline) {
+        return { success: this.addTaskOffline(payload, { silent: true }), queued: true }
+      }
+
+      try {
+        const response = await axios.post('/task/', payload)
+        return {
+          success: Boolean(response.data?.success),
+          message: response.data?.success
+            ? undefined
+            : this.extractErrorMessage(response, 'Failed to add task'),
+        }
+      } catch (error) {
+        if (isNetworkError(error)) {
+          return { success: this.addTaskOffline(payload, { silent: true }), queued: true }
+        }
+        return {
+          success: false,
+          message: error.response?.data?.message || error.response?.data?.error || error.message,
+        }
+      }
+    },
+
+    /**
+     * Create imported tasks at the end of the list, a few at a time, tracking
+     * progress in `importProgress`. Resolves to `{ success, message }` per task,
+     * in order, so the import can report the rows that failed.
+     */
+    async importTasks(tasks) {
+      const position = this.nextPosition
+      const payloads = tasks.map((task, index) => ({
+        ...(position !== null ? { position: position + index * POSITION_STEP } : {}),
+        ...task,
+      }))
+      this.importProgress = { completed: 0, total: payloads.length }
+
+      try {
+        const results = await mapWithConcurrency(payloads, BATCH_CONCURRENCY, async (payload) => {
+          const result = await this.sendImportedTask(payload)
+          this.importProgress.completed++
+          return result
+        })
+
+        const imported = results.filter((result) => result.success).length
+        if (results.some((result) => result.success && !result.queued)) {
+          await this.getTasks()
+          tabSync.publish(TASKS_SYNC_TOPIC, [{ type: 'tasks.refresh' }])
+        }
+        if (imported > 0) {
+          this.showSuccessNotification(`Imported ${countTasks(imported)}`)
+        }
+        return results
+      } finally {
+        this.importProgress = null
       }
     },
   },
@@ -0,0 +1,155 @@
+import { Notify } from 'quasar'
+import { defineStore, acceptHMRUpdate } from 'pinia'
+
+import axios from 'config/axios'
+
+const MAX_VIEW_NAME_LENGTH = 60
+
+// A saved view is a named task list query: `{ entity_id, name, query }`, where
+// `query` holds the filter, sort, tag and search parameters of the tasks page
+export const useViewsStore = defineStore('views', {
+  state: () => ({
+    views: [],
+    loading: false,
+  }),
+
+  getters: {
+    /**
+     * Get saved views in alphabetical order
+     */
+    sortedViews(state) {
+      return [...state.views].sort((a, b) =>
+        (a.name || '').localeCompare(b.name || '', undefined, { sensitivity: 'base' }),
+      )
+    },
+  },
+
+  actions: {
+    /**
+     * Show error notification
+     */
+    showErrorNotification(message = 'An unknown error occurred') {
+      Notify.create({
+        message,
+        color: 'negative',
+      })
+    },
+
+    /**
+     * Show success notification
+     */
+    showSuccessNotification(message, timeout = 2000) {
+      Notify.create({
+        message,
+        color: 'positive',
+        position: 'top',
+        timeout,
+      })
+    },
+
+    /**
+     * Handle API errors consistently
+     */
+    handleApiError(error, defaultMessage = 'An unknown error occurred') {
+      const message =
+        error.response?.data?.message ||
+        error.response?.data?.error ||
+        error.message ||
+        defaultMessage
+      this.showErrorNotification(message)
+      return false
+    },
+
+    /**
+     * Fetch the current user's saved views
+     */
+    async getViews() {
+      this.loading = true
+      try {
+        const response = await axios.get('/view/')
+
+        if (response.data?.success) {
+          this.views = response.data.views || []
+          return true
+        } else {
+          this.showErrorNotification(response.data?.message || 'Failed to fetch saved views')
+          return false
+        }
+      } catch (error) {
+        return this.handleApiError(error, 'Failed to fetch saved views')
+      } finally {
+        this.loading = false
+      }
+    },
+
+    /**
+     * Save a task list query under a name
+     */
+    async createView(name, query) {
+      const trimmedName = typeof name === 'string' ? name.trim() : ''
+
+      if (!trimmedName) {
+        this.showErrorNotification('View name cannot be empty')
+        return false
+      }
+
+      if (trimmedName.length > MAX_VIEW_NAME_LENGTH) {
+        this.showErrorNotification(
+          `View name must be less than ${MAX_VIEW_NAME_LENGTH} characters`,
+        )
+        return false
+      }
+
+      try {
+        const response = await axios.post('/view/', { name: trimmedName, query: { ...query } })
+
+        if (response.data?.success) {
+          this.showSuccessNotification(response.data?.message || `Saved view "${trimmedName}"`)
+          await this.getViews()
+          return true
+        } else {
+          this.showErrorNotification(response.data?.message || 'Failed to save view')
+          return false
+        }
+      } catch (error) {
+        return this.handleApiError(error, 'Failed to save view')
+      }
+    },
+
+    /**
+     * Delete a saved view
+     */
+    async deleteView(viewId) {
+      if (!viewId) {
+        this.showErrorNotification('View ID is missing')
+        return false
+      }
+
+      try {
+        const response = await axios.delete(`/view/${viewId}`)
+
+        if (response.data?.success) {
+          this.views = this.views.filter((view) => view.entity_id !== viewId)
+          return true
+        } else {
+          this.showErrorNotification(response.data?.message || 'Failed to delete view')
+          return false
+        }
+      } catch (error) {
+        return this.handleApiError(error, 'Failed to delete view')
+      }
+    },
+
+    /**
+     * Forget loaded views, e.g. when the user signs out
+     */
+    clearViews() {
+      this.views = []
+    },
+  },
+})
+
+// Hot Module Replacement support
+if (import.meta.hot) {
+  import.meta.hot.accept(acceptHMRUpdate(useViewsStore, import.meta.hot))
+}
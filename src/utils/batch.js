@@ -0,0 +1,19 @@
+/**
+ * Map items through an async worker with at most `limit` calls in flight.
+ * Results keep the order of the items.
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length)
+  let next = 0
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await worker(items[index], index)
+    }
+  }
+
+  const runners = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, run)
+  await Promise.all(runners)
+  return results
+}
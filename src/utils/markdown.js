@@ -0,0 +1,174 @@
+// A small Markdown renderer for task notes.
+//
+// Safety comes from escaping the whole source before any markup is added:
+// the only tags in the output are the ones generated here, and links are
+// limited to http(s) and mailto URLs.
+
+const SAFE_URL = /^(https?:\/\/|mailto:)/i
+const FENCE = /^\s*```/
+const TASK_ITEM = /^(\s*[-*+]\s+)\[( |x|X)\](\s+.*)?$/
+const BULLET_ITEM = /^\s*[-*+]\s+(.*)$/
+const ORDERED_ITEM = /^\s*\d+[.)]\s+(.*)$/
+const HEADING = /^(#{1,6})\s+(.*)$/
+const QUOTE = /^\s*>\s?(.*)$/
+
+const LINK_ATTRS = 'target="_blank" rel="noopener noreferrer nofollow"'
+
+/**
+ * Escape text for safe use in HTML content and quoted attributes
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+function renderInline(text) {
+  // Code spans and links become placeholders, marked with a private-use character,
+  // so emphasis rules never reach inside them
+  const tokens = []
+  const stash = (html) => `\uE000${tokens.push(html) - 1}\uE000`
+
+  let html = escapeHtml(text.replace(/\uE000/g, ''))
+
+  html = html.replace(/`([^`]+)`/g, (_, code) => stash(`<code>${code}</code>`))
+
+  html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+    SAFE_URL.test(url) ? stash(`<a href="${url}" ${LINK_ATTRS}>${label}</a>`) : label,
+  )
+
+  html = html.replace(/(^|[\s(])((?:https?:\/\/)[^\s<)]+)/g, (match, prefix, url) =>
+    `${prefix}${stash(`<a href="${url}" ${LINK_ATTRS}>${url}</a>`)}`,
+  )
+
+  html = html
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*?)\*/g, '$1<em>$2</em>')
+    .replace(/~~(.+?)~~/g, '<del>$1</del>')
+
+  return html.replace(/\uE000(\d+)\uE000/g, (_, index) => tokens[Number(index)])
+}
+
+/**
+ * Render Markdown notes to sanitized HTML.
+ * Task list items ("- [ ] item") become checkboxes carrying a
+ * `data-task-index` attribute, counted in document order.
+ */
+export function renderMarkdown(source) {
+  if (!source || typeof source !== 'string') return ''
+
+  const lines = source.replace(/\r\n?/g, '\n').split('\n')
+  const blocks = []
+  let paragraph = []
+  let list = null
+  let taskIndex = 0
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`)
+      paragraph = []
+    }
+  }
+
+  const flushList = () => {
+    if (list) {
+      blocks.push(`<${list.tag}>${list.items.join('')}</${list.tag}>`)
+      list = null
+    }
+  }
+
+  const pushListItem = (tag, html, className = '') => {
+    if (!list || list.tag !== tag) {
+      flushList()
+      list = { tag, items: [] }
+    }
+    list.items.push(className ? `<li class="${className}">${html}</li>` : `<li>${html}</li>`)
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    if (FENCE.test(line)) {
+      flushParagraph()
+      flushList()
+      const code = []
+      i++
+      while (i < lines.length && !FENCE.test(lines[i])) {
+        code.push(lines[i])
+        i++
+      }
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`)
+      continue
+    }
+
+    if (!line.trim()) {
+      flushParagraph()
+      flushList()
+      continue
+    }
+
+    let match
+    if ((match = HEADING.exec(line))) {
+      flushParagraph()
+      flushList()
+      const level = match[1].length
+      blocks.push(`<h${level}>${renderInline(match[2])}</h${level}>`)
+    } else if ((match = TASK_ITEM.exec(line))) {
+      flushParagraph()
+      const checked = match[2] !== ' '
+      const checkbox = `<input type="checkbox" data-task-index="${taskIndex++}"${checked ? ' checked' : ''}>`
+      pushListItem('ul', `${checkbox} ${renderInline((match[3] || '').trim())}`, 'task-list-item')
+    } else if ((match = BULLET_ITEM.exec(line))) {
+      flushParagraph()
+      pushListItem('ul', renderInline(match[1]))
+    } else if ((match = ORDERED_ITEM.exec(line))) {
+      flushParagraph()
+      pushListItem('ol', renderInline(match[1]))
+    } else if ((match = QUOTE.exec(line))) {
+      flushParagraph()
+      flushList()
+      blocks.push(`<blockquote>${renderInline(match[1])}</blockquote>`)
+    } else {
+      flushList()
+      paragraph.push(line)
+    }
+  }
+
+  flushParagraph()
+  flushList()
+
+  return blocks.join('\n')
+}
+
+/**
+ * Flip the checkbox of the n-th task list item in a Markdown source,
+ * using the same numbering as renderMarkdown
+ */
+export function toggleMarkdownCheckbox(source, index) {
+  if (!source || typeof source !== 'string') return source
+
+  const lines = source.split('\n')
+  let inFence = false
+  let taskIndex = 0
+
+  for (let i = 0; i < lines.length; i++) {
+    if (FENCE.test(lines[i])) {
+      inFence = !inFence
+      continue
+    }
+    if (inFence) continue
+
+    const match = TASK_ITEM.exec(lines[i].replace(/\r$/, ''))
+    if (match && taskIndex++ === index) {
+      // The first bracket pair on a task line is always its checkbox
+      const mark = match[2] === ' ' ? 'x' : ' '
+      lines[i] = lines[i].replace(/\[( |x|X)\]/, `[${mark}]`)
+      return lines.join('\n')
+    }
+  }
+
+  return source
+}
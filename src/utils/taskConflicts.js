@@ -0,0 +1,123 @@
+import { formatTaskDueDate } from '@/utils/taskDates'
+import { getPriorityLevel } from '@/utils/taskPriority'
+import { normalizeTags } from '@/utils/taskTags'
+import { getSubtasks } from '@/utils/taskSubtasks'
+import { describeRecurrence } from '@/utils/taskRecurrence'
+
+// An edit conflict pairs the change the server refused ("yours") with the
+// task as someone else saved it meanwhile ("theirs")
+
+export const CONFLICT_CHOICES = {
+  YOURS: 'yours',
+  THEIRS: 'theirs',
+  BOTH: 'both',
+}
+
+const FIELD_LABELS = {
+  title: 'Title',
+  completed: 'Status',
+  due_date: 'Due date',
+  due_time: 'Due time',
+  priority: 'Priority',
+  tags: 'Tags',
+  subtasks: 'Checklist',
+  notes: 'Notes',
+  recurrence: 'Repeat',
+  position: 'Position',
+}
+
+// Fields whose two versions can be kept together
+const COMBINABLE_FIELDS = ['tags', 'subtasks', 'notes']
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+/**
+ * List the fields of your change that differ from their version of the task
+ */
+export function getConflictingFields(yours, theirs) {
+  return Object.keys(yours || {}).filter((field) => !isSameValue(yours[field], theirs?.[field]))
+}
+
+/**
+ * Check whether both sides of a field can be combined
+ */
+export function canCombineField(field) {
+  return COMBINABLE_FIELDS.includes(field)
+}
+
+/**
+ * Combine your and their value of a field: tags and checklist items are
+ * united (your copy of a shared item wins), notes are joined
+ */
+export function combineFieldValues(field, yours, theirs) {
+  if (field === 'tags') {
+    return normalizeTags([...normalizeTags(theirs), ...normalizeTags(yours)])
+  }
+
+  if (field === 'subtasks') {
+    const yourSubtasks = getSubtasks({ subtasks: yours })
+    const theirSubtasks = getSubtasks({ subtasks: theirs })
+    const yourIds = new Set(yourSubtasks.map((subtask) => subtask.id))
+    return [
+      ...theirSubtasks.map((subtask) =>
+        yourIds.has(subtask.id) ? yourSubtasks.find((s) => s.id === subtask.id) : subtask,
+      ),
+      ...yourSubtasks.filter((subtask) => !theirSubtasks.some((s) => s.id === subtask.id)),
+    ]
+  }
+
+  if (field === 'notes') {
+    return [theirs, yours].filter(Boolean).join('\n\n')
+  }
+
+  return yours
+}
+
+/**
+ * Build the update that resolves a conflict, given a choice per field.
+ * Fields where their version is kept are left out, as the server has them.
+ */
+export function buildMergedPayload(yours, theirs, choices = {}) {
+  return getConflictingFields(yours, theirs).reduce((payload, field) => {
+    const choice = choices[field] || CONFLICT_CHOICES.YOURS
+    if (choice === CONFLICT_CHOICES.YOURS) {
+      payload[field] = yours[field]
+    } else if (choice === CONFLICT_CHOICES.BOTH && canCombineField(field)) {
+      payload[field] = combineFieldValues(field, yours[field], theirs?.[field])
+    }
+    return payload
+  }, {})
+}
+
+/**
+ * Get the label of a task field
+ */
+export function getFieldLabel(field) {
+  return FIELD_LABELS[field] || field
+}
+
+/**
+ * Describe a field value for display in the conflict dialog
+ */
+export function formatFieldValue(field, value) {
+  switch (field) {
+    case 'completed':
+      return value ? 'Completed' : 'Active'
+    case 'due_date':
+      return value ? formatTaskDueDate({ due_date: value }) : 'No due date'
+    case 'priority':
+      return getPriorityLevel(value).label
+    case 'tags': {
+      const tags = normalizeTags(value)
+      return tags.length > 0 ? tags.map((tag) => `#${tag}`).join(' ') : 'No tags'
+    }
+    case 'subtasks': {
+      const subtasks = getSubtasks({ subtasks: value })
+      return subtasks.length > 0 ? subtasks.map((subtask) => subtask.title).join(', ') : 'Empty'
+    }
+    case 'recurrence':
+      return value ? describeRecurrence(value) : 'Does not repeat'
+    default:
+      return value === null || value === undefined || value === '' ? 'Empty' : String(value)
+  }
+}
@@ -0,0 +1,90 @@
+// Tasks carry an optional `due_date` (YYYY-MM-DD) and `due_time` (HH:mm),
+// both expressed in the user's local time zone.
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+/**
+ * Format a Date as a local YYYY-MM-DD key
+ */
+export function toDateKey(date) {
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${year}-${month}-${day}`
+}
+
+/**
+ * Parse a YYYY-MM-DD key into a local Date at midnight
+ */
+export function parseDateKey(dateKey) {
+  if (!dateKey || typeof dateKey !== 'string') return null
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey)
+  if (!match) return null
+
+  const [, year, month, day] = match.map(Number)
+  return new Date(year, month - 1, day)
+}
+
+/**
+ * Get the moment a task becomes due.
+ * Tasks without a time are due at the end of their due day.
+ */
+export function getTaskDueDateTime(task) {
+  const dueDate = parseDateKey(task?.due_date)
+  if (!dueDate) return null
+
+  const timeMatch = /^(\d{2}):(\d{2})$/.exec(task.due_time || '')
+  if (timeMatch) {
+    dueDate.setHours(Number(timeMatch[1]), Number(timeMatch[2]), 0, 0)
+  } else {
+    dueDate.setHours(23, 59, 59, 999)
+  }
+
+  return dueDate
+}
+
+/**
+ * Check if an active task is past its due date
+ */
+export function isTaskOverdue(task, now = new Date()) {
+  if (!task || task.completed) return false
+
+  const dueDateTime = getTaskDueDateTime(task)
+  return dueDateTime !== null && dueDateTime < now
+}
+
+/**
+ * Check if an active task is due on the current day
+ */
+export function isTaskDueToday(task, now = new Date()) {
+  if (!task || task.completed || !task.due_date) return false
+  return task.due_date === toDateKey(now)
+}
+
+/**
+ * Build a short, human friendly label for a task's due date
+ */
+export function formatTaskDueDate(task, now = new Date()) {
+  const dueDate = parseDateKey(task?.due_date)
+  if (!dueDate) return ''
+
+  const today = parseDateKey(toDateKey(now))
+  const dayDiff = Math.round((dueDate - today) / (24 * 60 * 60 * 1000))
+
+  let label
+  if (dayDiff === 0) {
+    label = 'Today'
+  } else if (dayDiff === 1) {
+    label = 'Tomorrow'
+  } else if (dayDiff === -1) {
+    label = 'Yesterday'
+  } else {
+    label = `${MONTH_NAMES[dueDate.getMonth()]} ${dueDate.getDate()}`
+    if (dueDate.getFullYear() !== now.getFullYear()) {
+      label += `, ${dueDate.getFullYear()}`
+    }
+  }
+
+  return task.due_time ? `${label} ${task.due_time}` : label
+}
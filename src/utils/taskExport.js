@@ -0,0 +1,212 @@
+import { toDateKey } from '@/utils/taskDates'
+import { getPriorityLevel } from '@/utils/taskPriority'
+import { normalizeTags } from '@/utils/taskTags'
+import { getSubtasks } from '@/utils/taskSubtasks'
+
+// Exports are built entirely in the browser. CSV and JSON use the field names
+// the importer recognises, so an exported file can be imported again.
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  MARKDOWN: 'markdown',
+  ICS: 'ics',
+}
+
+const FILE_TYPES = {
+  [EXPORT_FORMATS.CSV]: { extension: 'csv', mimeType: 'text/csv' },
+  [EXPORT_FORMATS.JSON]: { extension: 'json', mimeType: 'application/json' },
+  [EXPORT_FORMATS.MARKDOWN]: { extension: 'md', mimeType: 'text/markdown' },
+  [EXPORT_FORMATS.ICS]: { extension: 'ics', mimeType: 'text/calendar' },
+}
+
+const CSV_COLUMNS = [
+  'title',
+  'completed',
+  'due_date',
+  'due_time',
+  'priority',
+  'tags',
+  'notes',
+  'created_at',
+]
+
+// The fields a JSON export keeps; versions and positions only mean something here
+const JSON_FIELDS = [
+  'entity_id',
+  'title',
+  'completed',
+  'due_date',
+  'due_time',
+  'priority',
+  'tags',
+  'notes',
+  'subtasks',
+  'recurrence',
+  'created_at',
+]
+
+// iCalendar priorities run from 1 (highest) to 9 (lowest)
+const ICS_PRIORITIES = { urgent: 1, high: 3, normal: 5, low: 9 }
+// Content lines are folded at 75 octets
+const ICS_LINE_LIMIT = 75
+
+// Spreadsheets run cells starting with these as formulas, so such cells get a
+// leading apostrophe, as CSV injection guidance recommends
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/
+
+const encoder = new TextEncoder()
+
+function toCsvCell(value) {
+  const cell = Array.isArray(value) ? value.join(', ') : String(value ?? '')
+  const text = CSV_FORMULA_PATTERN.test(cell) ? `'${cell}` : cell
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replaceAll('"', '""')}"` : text
+}
+
+/**
+ * Build a CSV file with a header row and one row per task
+ */
+export function toCsv(tasks) {
+  const rows = (tasks || []).map((task) =>
+    CSV_COLUMNS.map((column) => {
+      if (column === 'completed') return toCsvCell(Boolean(task.completed))
+      if (column === 'tags') return toCsvCell(normalizeTags(task.tags))
+      return toCsvCell(task[column])
+    }),
+  )
+  return [CSV_COLUMNS, ...rows].map((row) => row.join(',')).join('\r\n')
+}
+
+/**
+ * Build a JSON file holding the tasks and when they were exported
+ */
+export function toJson(tasks, now = new Date()) {
+  const exported = (tasks || []).map((task) =>
+    Object.fromEntries(
+      JSON_FIELDS.filter((field) => task[field] !== undefined && task[field] !== null).map(
+        (field) => [field, task[field]],
+      ),
+    ),
+  )
+  return JSON.stringify({ exported_at: now.toISOString(), tasks: exported }, null, 2)
+}
+
+const escapeMarkdown = (text) => String(text ?? '').replace(/([\\`*_[\]<>])/g, '\\$1')
+
+/**
+ * Build a Markdown checklist, with due dates, priorities and tags after each
+ * title and checklist items nested below their task
+ */
+export function toMarkdown(tasks) {
+  return (tasks || [])
+    .flatMap((task) => {
+      const details = [
+        task.due_date ? `due ${[task.due_date, task.due_time].filter(Boolean).join(' ')}` : '',
+        task.priority && task.priority !== 'normal' ? `!${task.priority}` : '',
+        ...normalizeTags(task.tags).map((tag) => `#${tag}`),
+      ].filter(Boolean)
+      const line = `- [${task.completed ? 'x' : ' '}] ${escapeMarkdown(task.title)}`
+
+      return [
+        details.length > 0 ? `${line} (${details.join(', ')})` : line,
+        ...getSubtasks(task).map(
+          (subtask) => `  - [${subtask.completed ? 'x' : ' '}] ${escapeMarkdown(subtask.title)}`,
+        ),
+      ]
+    })
+    .join('\n')
+}
+
+const escapeIcsText = (text) =>
+  String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/([;,])/g, '\\$1')
+    .replace(/\r?\n/g, '\\n')
+
+const toIcsUtc = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '')
+
+/**
+ * Split a content line into 75 octet pieces, continued by a leading space
+ */
+function foldIcsLine(line) {
+  const pieces = []
+  let piece = ''
+  let size = 0
+
+  for (const char of line) {
+    const charSize = encoder.encode(char).length
+    // Continuation lines lose one octet to the leading space
+    const limit = pieces.length === 0 ? ICS_LINE_LIMIT : ICS_LINE_LIMIT - 1
+    if (size + charSize > limit) {
+      pieces.push(piece)
+      piece = ''
+      size = 0
+    }
+    piece += char
+    size += charSize
+  }
+  pieces.push(piece)
+
+  return pieces.join('\r\n ')
+}
+
+function toVTodo(task, now) {
+  const dueDate = task.due_date.replaceAll('-', '')
+  const tags = normalizeTags(task.tags)
+  const created = task.created_at ? new Date(task.created_at) : null
+
+  return [
+    'BEGIN:VTODO',
+    `UID:${task.entity_id}@quarterhorse`,
+    `DTSTAMP:${toIcsUtc(now)}`,
+    ...(created && !Number.isNaN(created.getTime()) ? [`CREATED:${toIcsUtc(created)}`] : []),
+    `SUMMARY:${escapeIcsText(task.title)}`,
+    // Due times are local, so they are written as floating times
+    task.due_time
+      ? `DUE:${dueDate}T${task.due_time.replace(':', '')}00`
+      : `DUE;VALUE=DATE:${dueDate}`,
+    `STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`,
+    `PRIORITY:${ICS_PRIORITIES[getPriorityLevel(task.priority).value]}`,
+    ...(tags.length > 0 ? [`CATEGORIES:${tags.map(escapeIcsText).join(',')}`] : []),
+    ...(task.notes ? [`DESCRIPTION:${escapeIcsText(task.notes)}`] : []),
+    ...(task.recurrence ? [`RRULE:${task.recurrence}`] : []),
+    'END:VTODO',
+  ]
+}
+
+/**
+ * Build an iCalendar file with a VTODO for every task that has a due date
+ */
+export function toICalendar(tasks, now = new Date()) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Quarterhorse//Tasks//EN',
+    ...(tasks || []).filter((task) => task.due_date).flatMap((task) => toVTodo(task, now)),
+    'END:VCALENDAR',
+  ]
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`
+}
+
+/**
+ * Build the export file of tasks in a format: `{ fileName, content, mimeType }`
+ */
+export function buildExport(tasks, format, now = new Date()) {
+  const builders = {
+    [EXPORT_FORMATS.CSV]: () => toCsv(tasks),
+    [EXPORT_FORMATS.JSON]: () => toJson(tasks, now),
+    [EXPORT_FORMATS.MARKDOWN]: () => toMarkdown(tasks),
+    [EXPORT_FORMATS.ICS]: () => toICalendar(tasks, now),
+  }
+  const { extension, mimeType } = FILE_TYPES[format]
+
+  return {
+    fileName: `tasks-${toDateKey(now)}.${extension}`,
+    content: builders[format](),
+    mimeType,
+  }
+}
@@ -0,0 +1,124 @@
+import { formatTaskDueDate } from '@/utils/taskDates'
+import { getPriorityLevel } from '@/utils/taskPriority'
+import { normalizeTags } from '@/utils/taskTags'
+import { getSubtaskProgress } from '@/utils/taskSubtasks'
+import { describeRecurrence } from '@/utils/taskRecurrence'
+
+// Rococo stores every save of a task as a new version of the same entity_id.
+// These are the user-editable fields a version can be reverted to.
+export const REVERTABLE_FIELDS = [
+  'title',
+  'notes',
+  'completed',
+  'due_date',
+  'due_time',
+  'priority',
+  'tags',
+  'subtasks',
+  'recurrence',
+]
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+/**
+ * Sort versions newest first
+ */
+export function sortVersions(versions) {
+  return [...(versions || [])].sort(
+    (a, b) =>
+      new Date(b.changed_on || 0) - new Date(a.changed_on || 0) ||
+      (Number(b.version_number) || 0) - (Number(a.version_number) || 0),
+  )
+}
+
+/**
+ * Pick the fields of a version that can be written back through updateTask
+ */
+export function getRevertPayload(version) {
+  return REVERTABLE_FIELDS.reduce((payload, field) => {
+    if (field in version) {
+      payload[field] = version[field]
+    }
+    return payload
+  }, {})
+}
+
+/**
+ * Describe what changed between a version and the one before it
+ */
+export function describeVersionChanges(version, previousVersion) {
+  if (!previousVersion) {
+    return ['Created']
+  }
+
+  const changes = []
+
+  if (!isSameValue(version.title, previousVersion.title)) {
+    changes.push(`Renamed from "${previousVersion.title || ''}" to "${version.title || ''}"`)
+  }
+
+  if ((version.notes || '') !== (previousVersion.notes || '')) {
+    changes.push(version.notes ? 'Notes updated' : 'Notes removed')
+  }
+
+  if (!!version.completed !== !!previousVersion.completed) {
+    changes.push(version.completed ? 'Marked as completed' : 'Reopened')
+  }
+
+  if (
+    !isSameValue(version.due_date, previousVersion.due_date) ||
+    !isSameValue(version.due_time, previousVersion.due_time)
+  ) {
+    changes.push(
+      version.due_date ? `Due date set to ${formatTaskDueDate(version)}` : 'Due date removed',
+    )
+  }
+
+  if (getPriorityLevel(version.priority).value !== getPriorityLevel(previousVersion.priority).value) {
+    changes.push(`Priority changed to ${getPriorityLevel(version.priority).label}`)
+  }
+
+  if (!isSameValue(normalizeTags(version.tags), normalizeTags(previousVersion.tags))) {
+    const tags = normalizeTags(version.tags)
+    changes.push(tags.length > 0 ? `Tags set to ${tags.map((t) => `#${t}`).join(' ')}` : 'Tags removed')
+  }
+
+  if (!isSameValue(version.subtasks, previousVersion.subtasks)) {
+    const { completed, total } = getSubtaskProgress(version)
+    changes.push(`Checklist updated (${completed}/${total})`)
+  }
+
+  if (!isSameValue(version.recurrence, previousVersion.recurrence)) {
+    changes.push(
+      version.recurrence
+        ? `Repeat set to ${describeRecurrence(version.recurrence)}`
+        : 'Repeat removed',
+    )
+  }
+
+  if (changes.length === 0 && version.active === false) {
+    changes.push('Moved to trash')
+  } else if (changes.length === 0 && previousVersion.active === false) {
+    changes.push('Restored from trash')
+  }
+
+  return changes.length > 0 ? changes : ['Updated']
+}
+
+/**
+ * Get a display name for whoever saved a version
+ */
+export function describeVersionAuthor(version, currentUser) {
+  const author = version.changed_by
+  if (author && typeof author === 'object') {
+    const name = [author.first_name, author.last_name].filter(Boolean).join(' ')
+    if (name) return name
+  }
+
+  const authorId = version.changed_by_id || (typeof author === 'string' ? author : null)
+  if (authorId && currentUser?.entity_id && authorId === currentUser.entity_id) {
+    return 'You'
+  }
+
+  return 'Someone'
+}
@@ -0,0 +1,354 @@
+import { toDateKey, parseDateKey } from '@/utils/taskDates'
+import { normalizeTags } from '@/utils/taskTags'
+import { isValidPriority } from '@/utils/taskPriority'
+import { generateSubtaskId } from '@/utils/taskSubtasks'
+import { isValidRecurrence } from '@/utils/taskRecurrence'
+
+// Imports turn CSV, JSON or todo.txt files into raw rows, which are then
+// checked and converted to task payloads one by one so a bad row never
+// stops the rest of the file.
+
+export const IMPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  TODO_TXT: 'todotxt',
+}
+
+// The task fields a CSV column can be mapped to
+export const IMPORT_FIELDS = [
+  { value: 'title', label: 'Title' },
+  { value: 'notes', label: 'Notes' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'due_date', label: 'Due date' },
+  { value: 'due_time', label: 'Due time' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'tags', label: 'Tags' },
+]
+
+export const MAX_TITLE_LENGTH = 200
+
+// Exports put an apostrophe before cells a spreadsheet would run as a formula
+const ESCAPED_FORMULA_PATTERN = /^'[=+\-@\t\r]/
+
+const FILE_EXTENSIONS = {
+  csv: IMPORT_FORMATS.CSV,
+  tsv: IMPORT_FORMATS.CSV,
+  json: IMPORT_FORMATS.JSON,
+  txt: IMPORT_FORMATS.TODO_TXT,
+}
+
+// Column names recognised for each field, compared lowercase with spaces as "_"
+const COLUMN_ALIASES = {
+  title: ['title', 'task', 'name', 'summary', 'subject', 'todo'],
+  notes: ['notes', 'note', 'description', 'details', 'comments'],
+  completed: ['completed', 'done', 'complete', 'status', 'state'],
+  due_date: ['due_date', 'due', 'deadline', 'date', 'due_on'],
+  due_time: ['due_time', 'time'],
+  priority: ['priority', 'importance'],
+  tags: ['tags', 'tag', 'labels', 'label', 'category', 'categories'],
+}
+
+const CSV_DELIMITERS = [',', ';', '\t']
+
+const COMPLETED_VALUES = ['true', 'yes', 'y', '1', 'x', 'done', 'completed', 'complete', 'closed']
+const ACTIVE_VALUES = ['', 'false', 'no', 'n', '0', 'todo', 'open', 'active', 'pending']
+
+const PRIORITY_ALIASES = { medium: 'normal', critical: 'urgent' }
+
+// todo.txt priorities run from (A) down to (Z)
+const TODO_TXT_PRIORITIES = { A: 'urgent', B: 'high', C: 'normal' }
+
+const DUE_DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{1,2}:\d{2}))?/
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/
+const TODO_TXT_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const normalizeColumnName = (name) =>
+  String(name ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_')
+
+/**
+ * Guess the format of an import file from its name
+ */
+export function detectImportFormat(fileName) {
+  const extension = /\.(\w+)$/.exec(fileName || '')?.[1]?.toLowerCase()
+  return FILE_EXTENSIONS[extension] || null
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0]
+  return CSV_DELIMITERS.reduce((best, delimiter) =>
+    firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best,
+  )
+}
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells with delimiters,
+ * doubled quotes and line breaks, and picks ",", ";" or tab as the delimiter
+ * from the header line. Blank lines are dropped.
+ */
+export function parseCsv(text) {
+  if (typeof text !== 'string') return []
+
+  const source = text.replace(/^\uFEFF/, '')
+  const delimiter = detectDelimiter(source)
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index]
+
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"'
+        index++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true
+    } else if (char === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') index++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  row.push(cell)
+  rows.push(row)
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''))
+}
+
+/**
+ * Guess which column holds each task field, from the header row.
+ * Returns `{ [field]: columnIndex | null }`.
+ */
+export function guessColumnMapping(headers) {
+  const columns = (headers || []).map(normalizeColumnName)
+  const used = new Set()
+
+  return Object.fromEntries(
+    IMPORT_FIELDS.map(({ value: field }) => {
+      const index = COLUMN_ALIASES[field]
+        .map((alias) => columns.indexOf(alias))
+        .find((columnIndex) => columnIndex !== -1 && !used.has(columnIndex))
+      if (index === undefined) return [field, null]
+
+      used.add(index)
+      return [field, index]
+    }),
+  )
+}
+
+/**
+ * Turn CSV data rows into raw tasks using a column mapping
+ */
+export function mapCsvRows(rows, mapping) {
+  return (rows || []).map((cells) =>
+    Object.fromEntries(
+      Object.entries(mapping || {})
+        .filter(([, index]) => index !== null && index !== undefined)
+        .map(([field, index]) => {
+          const cell = cells[index] ?? ''
+          return [field, ESCAPED_FORMULA_PATTERN.test(cell) ? cell.slice(1) : cell]
+        }),
+    ),
+  )
+}
+
+/**
+ * Parse a JSON export: a list of tasks, or an object with a `tasks` list.
+ * Returns null when the text is not one of those.
+ */
+export function parseJsonTasks(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    return null
+  }
+
+  const tasks = Array.isArray(data) ? data : data?.tasks
+  if (!Array.isArray(tasks)) return null
+
+  // Entries that are not objects are kept so they are reported as invalid rows
+  return tasks.map((task) => (task && typeof task === 'object' && !Array.isArray(task) ? task : {}))
+}
+
+/**
+ * Parse one todo.txt line: "x", completion and creation dates, "(A)"
+ * priority, "+project" and "@context" (both become tags) and "due:" dates
+ */
+function parseTodoTxtLine(line) {
+  const words = line.trim().split(/\s+/)
+  const task = { completed: false, tags: [] }
+
+  if (words[0] === 'x') {
+    task.completed = true
+    words.shift()
+    // Completion date, then creation date
+    while (TODO_TXT_DATE_PATTERN.test(words[0] || '')) words.shift()
+  }
+
+  const priorityMatch = /^\(([A-Z])\)$/.exec(words[0] || '')
+  if (priorityMatch) {
+    task.priority = TODO_TXT_PRIORITIES[priorityMatch[1]] || 'low'
+    words.shift()
+  }
+  if (TODO_TXT_DATE_PATTERN.test(words[0] || '')) {
+    words.shift()
+  }
+
+  const titleWords = []
+  for (const word of words) {
+    const [key, ...rest] = word.split(':')
+    const value = rest.join(':')
+
+    if (/^[+@]\S+$/.test(word)) {
+      task.tags.push(word.slice(1))
+    } else if (key === 'due' && value) {
+      task.due_date = value
+    } else if (key === 'pri' && /^[A-Z]$/.test(value)) {
+      task.priority = TODO_TXT_PRIORITIES[value] || 'low'
+    } else {
+      titleWords.push(word)
+    }
+  }
+
+  task.title = titleWords.join(' ')
+  return task
+}
+
+/**
+ * Parse todo.txt text into raw tasks, one per non-blank line
+ */
+export function parseTodoTxt(text) {
+  if (typeof text !== 'string') return []
+
+  return text
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== '')
+    .map(parseTodoTxtLine)
+}
+
+function parseCompleted(value) {
+  if (typeof value === 'boolean') return value
+  if (typeof value === 'number') return value !== 0
+
+  const text = String(value ?? '')
+    .trim()
+    .toLowerCase()
+  if (COMPLETED_VALUES.includes(text)) return true
+  if (ACTIVE_VALUES.includes(text)) return false
+  return null
+}
+
+function parseTags(value) {
+  if (Array.isArray(value)) return normalizeTags(value.map(String))
+  if (typeof value !== 'string') return []
+  return normalizeTags(value.split(/[,;\s]+/))
+}
+
+function parseSubtasks(value) {
+  if (!Array.isArray(value)) return []
+
+  return value
+    .map((subtask) => (typeof subtask === 'string' ? { title: subtask } : subtask))
+    .filter((subtask) => typeof subtask?.title === 'string' && subtask.title.trim())
+    .map((subtask) => ({
+      id: generateSubtaskId(),
+      title: subtask.title.trim(),
+      completed: Boolean(subtask.completed),
+    }))
+}
+
+/**
+ * Check a raw imported task and convert it to a task payload.
+ * Returns `{ task, errors }`; a row with errors should not be imported.
+ */
+export function validateImportRow(raw) {
+  const errors = []
+  const task = {}
+  const row = raw && typeof raw === 'object' ? raw : {}
+
+  const title = typeof row.title === 'string' ? row.title.trim() : String(row.title ?? '').trim()
+  if (!title) {
+    errors.push('Title is required')
+  } else if (title.length > MAX_TITLE_LENGTH) {
+    errors.push(`Title must be less than ${MAX_TITLE_LENGTH} characters`)
+  }
+  task.title = title
+
+  if (typeof row.notes === 'string' && row.notes.trim()) {
+    task.notes = row.notes.trim()
+  }
+
+  if (row.completed !== undefined) {
+    const completed = parseCompleted(row.completed)
+    if (completed === null) {
+      errors.push(`Unknown completed value "${row.completed}"`)
+    } else if (completed) {
+      task.completed = true
+    }
+  }
+
+  const dueDate = typeof row.due_date === 'string' ? row.due_date.trim() : ''
+  const dueTime = typeof row.due_time === 'string' ? row.due_time.trim() : ''
+  const dueMatch = DUE_DATE_PATTERN.exec(dueDate)
+  // Dates such as Feb 30 parse, but roll over into the next month
+  if (dueDate && (!dueMatch || toDateKey(parseDateKey(dueMatch[1])) !== dueMatch[1])) {
+    errors.push(`Due date "${dueDate}" is not a YYYY-MM-DD date`)
+  } else if (dueMatch) {
+    task.due_date = dueMatch[1]
+  }
+
+  const time = dueTime || dueMatch?.[2] || ''
+  const timeMatch = TIME_PATTERN.exec(time)
+  if (time && (!timeMatch || Number(timeMatch[1]) > 23 || Number(timeMatch[2]) > 59)) {
+    errors.push(`Due time "${time}" is not an HH:mm time`)
+  } else if (time && !task.due_date) {
+    errors.push('Due time needs a due date')
+  } else if (timeMatch) {
+    task.due_time = `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}`
+  }
+
+  const priorityText = String(row.priority ?? '')
+    .trim()
+    .toLowerCase()
+  const priority = PRIORITY_ALIASES[priorityText] || priorityText
+  if (priority && !isValidPriority(priority)) {
+    errors.push(`Unknown priority "${row.priority}"`)
+  } else if (priority) {
+    task.priority = priority
+  }
+
+  const tags = parseTags(row.tags)
+  if (tags.length > 0) {
+    task.tags = tags
+  }
+
+  const subtasks = parseSubtasks(row.subtasks)
+  if (subtasks.length > 0) {
+    task.subtasks = subtasks
+  }
+
+  if (row.recurrence && !isValidRecurrence(row.recurrence)) {
+    errors.push(`Unknown repeat rule "${row.recurrence}"`)
+  } else if (row.recurrence) {
+    task.recurrence = row.recurrence
+  }
+
+  return { task, errors }
+}
@@ -0,0 +1,27 @@
+// Priority levels ordered from least to most urgent
+
+export const DEFAULT_PRIORITY = 'normal'
+
+export const PRIORITY_LEVELS = [
+  { value: 'low', label: 'Low', color: 'grey-6', rank: 0 },
+  { value: 'normal', label: 'Normal', color: 'blue-grey-5', rank: 1 },
+  { value: 'high', label: 'High', color: 'orange-8', rank: 2 },
+  { value: 'urgent', label: 'Urgent', color: 'negative', rank: 3 },
+]
+
+/**
+ * Get the level definition for a priority value, falling back to the default
+ */
+export function getPriorityLevel(priority) {
+  return (
+    PRIORITY_LEVELS.find((level) => level.value === priority) ||
+    PRIORITY_LEVELS.find((level) => level.value === DEFAULT_PRIORITY)
+  )
+}
+
+/**
+ * Check if a value is a known priority
+ */
+export function isValidPriority(priority) {
+  return PRIORITY_LEVELS.some((level) => level.value === priority)
+}
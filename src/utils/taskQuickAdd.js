@@ -0,0 +1,192 @@
+import { toDateKey } from '@/utils/taskDates'
+import { normalizeTag } from '@/utils/taskTags'
+import { isValidPriority } from '@/utils/taskPriority'
+
+// Quick add reads inline syntax out of a new task's title, e.g.
+// "Pay invoice tomorrow 5pm #billing !high @alice". A backslash keeps a
+// word as typed, so "Fix \#12" or "\today" stay part of the title.
+
+const ESCAPE = '\\'
+
+// Indexed like Date#getDay
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+const WEEKDAY_ABBREVIATIONS = WEEKDAY_NAMES.map((name) => name.slice(0, 3))
+
+const ASSIGNEE_PATTERN = /^@([\w.-]+)$/
+const PRIORITY_PATTERN = /^!(\w+)$/
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const TWELVE_HOUR_PATTERN = /^(\d{1,2})(?::(\d{2}))?(am|pm)$/
+const TWENTY_FOUR_HOUR_PATTERN = /^(\d{1,2}):(\d{2})$/
+const RELATIVE_UNITS = { day: 1, days: 1, week: 7, weeks: 7 }
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)
+
+const pad = (value) => String(value).padStart(2, '0')
+
+// Abbreviations like "sat" or "wed" are ordinary words too, so they only
+// count as weekdays after "on" or "next"
+function getWeekday(word, allowAbbreviation) {
+  const weekday = WEEKDAY_NAMES.indexOf(word)
+  return weekday === -1 && allowAbbreviation ? WEEKDAY_ABBREVIATIONS.indexOf(word) : weekday
+}
+
+/**
+ * Read a date at the start of the given words. Returns the date and how many
+ * words it used, or null.
+ */
+function matchDate(words, now) {
+  const [first, second, third] = words
+
+  if (first === 'today') return { date: now, length: 1 }
+  if (first === 'tomorrow') return { date: addDays(now, 1), length: 1 }
+
+  if (first === 'next' && second === 'week') {
+    // The Monday after this week
+    return { date: addDays(now, 7 - ((now.getDay() + 6) % 7)), length: 2 }
+  }
+
+  if (first === 'in' && /^\d+$/.test(second) && RELATIVE_UNITS[third]) {
+    return { date: addDays(now, Number(second) * RELATIVE_UNITS[third]), length: 3 }
+  }
+
+  // "on" and "next" may lead a weekday; the weekday is always the coming one
+  const hasPrefix = first === 'on' || first === 'next'
+  const weekday = hasPrefix ? getWeekday(second, true) : getWeekday(first, false)
+  if (weekday !== -1) {
+    const days = (weekday - now.getDay() + 7) % 7 || 7
+    return { date: addDays(now, days), length: hasPrefix ? 2 : 1 }
+  }
+
+  const isoDate = first === 'on' ? second : first
+  if (ISO_DATE_PATTERN.test(isoDate || '')) {
+    const [year, month, day] = isoDate.split('-').map(Number)
+    const date = new Date(year, month - 1, day)
+    if (date.getMonth() === month - 1 && date.getDate() === day) {
+      return { date, length: first === 'on' ? 2 : 1 }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Read a time ("5pm", "5:30pm", "17:00", optionally after "at") at the start
+ * of the given words. Returns it as HH:mm with how many words it used, or null.
+ */
+function matchTime(words) {
+  const hasPrefix = words[0] === 'at'
+  const word = hasPrefix ? words[1] : words[0]
+  if (!word) return null
+
+  let hours
+  let minutes
+  const twelveHour = TWELVE_HOUR_PATTERN.exec(word)
+  const twentyFourHour = TWENTY_FOUR_HOUR_PATTERN.exec(word)
+
+  if (twelveHour) {
+    hours = Number(twelveHour[1])
+    minutes = Number(twelveHour[2] || 0)
+    if (hours < 1 || hours > 12) return null
+    hours = (hours % 12) + (twelveHour[3] === 'pm' ? 12 : 0)
+  } else if (twentyFourHour) {
+    hours = Number(twentyFourHour[1])
+    minutes = Number(twentyFourHour[2])
+    if (hours > 23) return null
+  } else {
+    return null
+  }
+
+  if (minutes > 59) return null
+  return { time: `${pad(hours)}:${pad(minutes)}`, length: hasPrefix ? 2 : 1 }
+}
+
+/**
+ * Parse quick add text into a title and the fields it sets: `due_date`,
+ * `due_time`, `tags`, `priority` and `assignee`. Only the first date, time,
+ * priority and assignee count; repeats stay in the title. A time without a
+ * date falls on today, or tomorrow once that time has passed.
+ */
+export function parseQuickAdd(text, now = new Date()) {
+  const result = {
+    title: '',
+    due_date: null,
+    due_time: null,
+    tags: [],
+    priority: null,
+    assignee: null,
+  }
+  if (typeof text !== 'string') return result
+
+  const words = text.trim().split(/\s+/).filter(Boolean)
+  const lowerWords = words.map((word) => word.toLowerCase())
+  const titleWords = []
+  let dueDate = null
+
+  for (let index = 0; index < words.length; ) {
+    const word = words[index]
+    const rest = lowerWords.slice(index)
+
+    if (word.startsWith(ESCAPE) && word.length > 1) {
+      titleWords.push(word.slice(1))
+      index++
+      continue
+    }
+
+    const date = dueDate ? null : matchDate(rest, now)
+    if (date) {
+      dueDate = date.date
+      index += date.length
+      continue
+    }
+
+    const time = result.due_time ? null : matchTime(rest)
+    if (time) {
+      result.due_time = time.time
+      index += time.length
+      continue
+    }
+
+    const tag = word.startsWith('#') ? normalizeTag(word) : ''
+    if (tag) {
+      if (!result.tags.includes(tag)) result.tags.push(tag)
+      index++
+      continue
+    }
+
+    const priority = PRIORITY_PATTERN.exec(rest[0])?.[1]
+    if (!result.priority && isValidPriority(priority)) {
+      result.priority = priority
+      index++
+      continue
+    }
+
+    const assignee = ASSIGNEE_PATTERN.exec(word)?.[1]
+    if (!result.assignee && assignee) {
+      result.assignee = assignee
+      index++
+      continue
+    }
+
+    titleWords.push(word)
+    index++
+  }
+
+  if (!dueDate && result.due_time) {
+    const [hours, minutes] = result.due_time.split(':').map(Number)
+    const hasPassed = now.getHours() * 60 + now.getMinutes() >= hours * 60 + minutes
+    dueDate = hasPassed ? addDays(now, 1) : now
+  }
+
+  result.title = titleWords.join(' ')
+  result.due_date = dueDate ? toDateKey(dueDate) : null
+  return result
+}
+
+/**
+ * Check whether parsed quick add text sets anything besides the title
+ */
+export function hasQuickAddFields(parsed) {
+  return Boolean(
+    parsed?.due_date || parsed?.tags?.length > 0 || parsed?.priority || parsed?.assignee,
+  )
+}
@@ -0,0 +1,250 @@
+import { toDateKey, parseDateKey } from '@/utils/taskDates'
+import { createSubtask, getSubtasks } from '@/utils/taskSubtasks'
+
+// Recurring tasks carry `recurrence`, an iCalendar RRULE such as
+// "FREQ=WEEKLY;BYDAY=MO,TH". Completing one creates the next occurrence,
+// which takes the rule over; the completed task keeps none.
+
+export const RECURRENCE_FREQUENCIES = {
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY',
+  YEARLY: 'YEARLY',
+}
+
+// Indexed like Date#getDay
+export const WEEKDAYS = [
+  { value: 'SU', label: 'Sun' },
+  { value: 'MO', label: 'Mon' },
+  { value: 'TU', label: 'Tue' },
+  { value: 'WE', label: 'Wed' },
+  { value: 'TH', label: 'Thu' },
+  { value: 'FR', label: 'Fri' },
+  { value: 'SA', label: 'Sat' },
+]
+
+const WEEKDAY_CODES = WEEKDAYS.map((weekday) => weekday.value)
+const DAY_MS = 24 * 60 * 60 * 1000
+// Bounds the search for the next date, so a rule can never loop forever
+const MAX_STEPS = 1000
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate()
+
+// Monday of the week a date falls in
+const startOfWeek = (date) => addDays(date, -((date.getDay() + 6) % 7))
+
+/**
+ * Parse the supported subset of an RRULE: FREQ, INTERVAL, BYDAY (weekly),
+ * BYMONTHDAY (monthly), COUNT and UNTIL. Returns null for anything else.
+ */
+export function parseRecurrence(rule) {
+  if (typeof rule !== 'string') return null
+
+  const body = rule.trim().replace(/^RRULE:/i, '')
+  if (!body) return null
+
+  const parts = {}
+  for (const part of body.split(';')) {
+    const [key, value] = part.split('=')
+    if (!key || !value) return null
+    parts[key.trim().toUpperCase()] = value.trim().toUpperCase()
+  }
+
+  const { FREQ, INTERVAL = '1', BYDAY, BYMONTHDAY, COUNT, UNTIL, ...unsupported } = parts
+  if (Object.keys(unsupported).length > 0 || !RECURRENCE_FREQUENCIES[FREQ]) return null
+
+  const interval = Number(INTERVAL)
+  const byDay = BYDAY ? BYDAY.split(',') : []
+  const byMonthDay = BYMONTHDAY ? BYMONTHDAY.split(',').map(Number) : []
+  const count = COUNT ? Number(COUNT) : null
+  const untilMatch = UNTIL ? /^(\d{4})(\d{2})(\d{2})/.exec(UNTIL) : null
+
+  const isValid =
+    Number.isInteger(interval) &&
+    interval >= 1 &&
+    byDay.every((day) => WEEKDAY_CODES.includes(day)) &&
+    (byDay.length === 0 || FREQ === RECURRENCE_FREQUENCIES.WEEKLY) &&
+    byMonthDay.every((day) => Number.isInteger(day) && day >= 1 && day <= 31) &&
+    (byMonthDay.length === 0 || FREQ === RECURRENCE_FREQUENCIES.MONTHLY) &&
+    (count === null || (Number.isInteger(count) && count >= 1)) &&
+    (!UNTIL || untilMatch)
+
+  if (!isValid) return null
+
+  return {
+    freq: FREQ,
+    interval,
+    byDay: WEEKDAY_CODES.filter((day) => byDay.includes(day)),
+    byMonthDay: [...new Set(byMonthDay)].sort((a, b) => a - b),
+    count,
+    until: untilMatch ? `${untilMatch[1]}-${untilMatch[2]}-${untilMatch[3]}` : null,
+  }
+}
+
+/**
+ * Check whether a value is a recurrence rule this app understands
+ */
+export function isValidRecurrence(rule) {
+  return parseRecurrence(rule) !== null
+}
+
+/**
+ * Turn a parsed recurrence back into an RRULE string
+ */
+export function formatRecurrence({
+  freq,
+  interval = 1,
+  byDay = [],
+  byMonthDay = [],
+  count,
+  until,
+}) {
+  const parts = [`FREQ=${freq}`]
+  if (interval > 1) parts.push(`INTERVAL=${interval}`)
+  if (byDay.length > 0) parts.push(`BYDAY=${byDay.join(',')}`)
+  if (byMonthDay.length > 0) parts.push(`BYMONTHDAY=${byMonthDay.join(',')}`)
+  if (count) parts.push(`COUNT=${count}`)
+  if (until) parts.push(`UNTIL=${until.replaceAll('-', '')}`)
+  return parts.join(';')
+}
+
+/**
+ * Find the first date of a parsed recurrence after the given date key
+ */
+function getNextDate(recurrence, fromKey) {
+  const from = parseDateKey(fromKey)
+  const { freq, interval, byDay, byMonthDay } = recurrence
+
+  if (freq === RECURRENCE_FREQUENCIES.DAILY) {
+    return addDays(from, interval)
+  }
+
+  if (freq === RECURRENCE_FREQUENCIES.WEEKLY) {
+    if (byDay.length === 0) return addDays(from, 7 * interval)
+
+    const fromWeek = startOfWeek(from)
+    for (let offset = 1; offset <= 7 * (interval + 1); offset++) {
+      const date = addDays(from, offset)
+      const weeks = Math.round((startOfWeek(date) - fromWeek) / (7 * DAY_MS))
+      if (weeks % interval === 0 && byDay.includes(WEEKDAY_CODES[date.getDay()])) {
+        return date
+      }
+    }
+    return null
+  }
+
+  if (freq === RECURRENCE_FREQUENCIES.MONTHLY) {
+    const days = byMonthDay.length > 0 ? byMonthDay : [from.getDate()]
+    for (let step = 0; step <= 12; step++) {
+      const month = new Date(from.getFullYear(), from.getMonth() + step * interval, 1)
+      const lastDay = daysInMonth(month.getFullYear(), month.getMonth())
+      // Days past the end of a short month fall on its last day
+      const candidate = days
+        .map((day) => new Date(month.getFullYear(), month.getMonth(), Math.min(day, lastDay)))
+        .find((date) => date > from)
+      if (candidate) return candidate
+    }
+    return null
+  }
+
+  const year = from.getFullYear() + interval
+  return new Date(
+    year,
+    from.getMonth(),
+    Math.min(from.getDate(), daysInMonth(year, from.getMonth())),
+  )
+}
+
+/**
+ * Work out the due date and rule of the occurrence after a task. Counts from
+ * the task's due date (or today without one) and skips dates already past,
+ * so completing late does not create overdue tasks. Returns null when the
+ * rule has run out.
+ */
+export function getNextRecurrence(task, now = new Date()) {
+  const recurrence = parseRecurrence(task?.recurrence)
+  if (!recurrence || recurrence.count === 1) return null
+
+  const todayKey = toDateKey(now)
+  let dueDate = task.due_date || todayKey
+
+  // A monthly rule keeps the day it started on, so a task due on the 31st
+  // comes back on the 31st after falling on the 28th in February
+  if (recurrence.freq === RECURRENCE_FREQUENCIES.MONTHLY && recurrence.byMonthDay.length === 0) {
+    recurrence.byMonthDay = [parseDateKey(dueDate).getDate()]
+  }
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    const next = getNextDate(recurrence, dueDate)
+    if (!next) return null
+
+    dueDate = toDateKey(next)
+    if (dueDate >= todayKey) break
+  }
+
+  if (dueDate < todayKey || (recurrence.until && dueDate > recurrence.until)) {
+    return null
+  }
+
+  return {
+    due_date: dueDate,
+    recurrence: formatRecurrence({
+      ...recurrence,
+      count: recurrence.count ? recurrence.count - 1 : null,
+    }),
+  }
+}
+
+/**
+ * Build the new task for the next occurrence of a recurring task, with its
+ * checklist unchecked again, or null when the series has ended
+ */
+export function createNextOccurrence(task, now = new Date()) {
+  const next = getNextRecurrence(task, now)
+  if (!next) return null
+
+  const subtasks = getSubtasks(task)
+  return {
+    title: task.title,
+    ...(task.notes ? { notes: task.notes } : {}),
+    ...(task.priority ? { priority: task.priority } : {}),
+    ...(Array.isArray(task.tags) && task.tags.length > 0 ? { tags: [...task.tags] } : {}),
+    ...(subtasks.length > 0
+      ? { subtasks: subtasks.map((subtask) => createSubtask(subtask.title)) }
+      : {}),
+    due_date: next.due_date,
+    ...(task.due_time ? { due_time: task.due_time } : {}),
+    recurrence: next.recurrence,
+  }
+}
+
+/**
+ * Describe a recurrence rule, e.g. "Every 2 weeks on Mon, Thu"
+ */
+export function describeRecurrence(rule) {
+  const recurrence = parseRecurrence(rule)
+  if (!recurrence) return ''
+
+  const { freq, interval, byDay, byMonthDay, count, until } = recurrence
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[freq]
+  let description = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`
+
+  if (byDay.length > 0) {
+    const labels = byDay.map((day) => WEEKDAYS[WEEKDAY_CODES.indexOf(day)].label)
+    description += ` on ${labels.join(', ')}`
+  }
+  if (byMonthDay.length > 0) {
+    description += ` on day ${byMonthDay.join(', ')}`
+  }
+  if (count) {
+    // The count includes the current occurrence
+    description += `, ${count} occurrence${count === 1 ? '' : 's'} left`
+  }
+  if (until) {
+    description += `, until ${until}`
+  }
+
+  return description
+}
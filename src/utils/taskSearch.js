@@ -0,0 +1,150 @@
+import { normalizeTags } from '@/utils/taskTags'
+
+// Short terms only match as substrings; fuzzy matching them finds too much
+const MIN_FUZZY_TERM_LENGTH = 3
+// A fuzzy match may spread over at most this many times the term's length
+const MAX_FUZZY_SPREAD = 2
+const SNIPPET_RADIUS = 40
+
+/**
+ * Split a search query into lowercase terms, ignoring a leading "#" so
+ * that "#work" finds the "work" tag
+ */
+export function parseSearchTerms(query) {
+  if (typeof query !== 'string') return []
+
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .map((term) => term.replace(/^#+/, ''))
+    .filter(Boolean)
+}
+
+/**
+ * Find a single term in a text: as a substring when possible, otherwise as its
+ * characters in order within a short span (so "mtg" finds "meeting").
+ * Returns the matched [start, end) ranges, or null.
+ */
+function matchTerm(text, term) {
+  const lower = text.toLowerCase()
+
+  const index = lower.indexOf(term)
+  if (index !== -1) return [[index, index + term.length]]
+
+  if (term.length < MIN_FUZZY_TERM_LENGTH) return null
+
+  const maxSpan = term.length * MAX_FUZZY_SPREAD
+  for (let start = lower.indexOf(term[0]); start !== -1; start = lower.indexOf(term[0], start + 1)) {
+    const ranges = [[start, start + 1]]
+    let position = start
+    let matched = 1
+
+    for (; matched < term.length; matched++) {
+      position = lower.indexOf(term[matched], position + 1)
+      if (position === -1 || position - start >= maxSpan) break
+
+      const last = ranges[ranges.length - 1]
+      if (last[1] === position) {
+        last[1] = position + 1
+      } else {
+        ranges.push([position, position + 1])
+      }
+    }
+
+    if (matched === term.length) return ranges
+  }
+
+  return null
+}
+
+function getSearchableTexts(task) {
+  return [task.title || '', task.notes || '', ...normalizeTags(task.tags)]
+}
+
+/**
+ * Check whether a task matches every term of a search query,
+ * looking at its title, notes and tags
+ */
+export function matchesSearch(task, query) {
+  const terms = parseSearchTerms(query)
+  if (terms.length === 0) return true
+
+  const texts = getSearchableTexts(task)
+  return terms.every((term) => texts.some((text) => matchTerm(text, term)))
+}
+
+/**
+ * Keep the tasks matching a search query
+ */
+export function searchTasks(tasks, query) {
+  if (parseSearchTerms(query).length === 0) return tasks
+  return tasks.filter((task) => matchesSearch(task, query))
+}
+
+function findRanges(text, terms) {
+  const ranges = []
+  const lower = text.toLowerCase()
+
+  terms.forEach((term) => {
+    // Highlight every exact occurrence, or the first fuzzy one
+    let index = lower.indexOf(term)
+    if (index === -1) {
+      ranges.push(...(matchTerm(text, term) || []))
+      return
+    }
+    while (index !== -1) {
+      ranges.push([index, index + term.length])
+      index = lower.indexOf(term, index + term.length)
+    }
+  })
+
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1]
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1])
+      } else {
+        merged.push([...range])
+      }
+      return merged
+    }, [])
+}
+
+/**
+ * Split a text into `{ text, match }` segments for highlighting search matches
+ */
+export function getHighlightSegments(text, query) {
+  const value = text || ''
+  const ranges = findRanges(value, parseSearchTerms(query))
+  const segments = []
+  let cursor = 0
+
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) segments.push({ text: value.slice(cursor, start), match: false })
+    segments.push({ text: value.slice(start, end), match: true })
+    cursor = end
+  })
+  if (cursor < value.length || segments.length === 0) {
+    segments.push({ text: value.slice(cursor), match: false })
+  }
+
+  return segments
+}
+
+/**
+ * Get a one-line excerpt of a text around its first search match, or null
+ * when the query does not match it
+ */
+export function getSearchSnippet(text, query) {
+  if (!text) return null
+
+  const [first] = findRanges(text, parseSearchTerms(query))
+  if (!first) return null
+
+  const start = Math.max(0, first[0] - SNIPPET_RADIUS)
+  const end = Math.min(text.length, first[1] + SNIPPET_RADIUS)
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim()
+
+  return `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`
+}
@@ -0,0 +1,41 @@
+// Subtasks are checklist items stored on their parent task as
+// `subtasks: [{ id, title, completed }]`
+
+/**
+ * Generate a client-side id for a new subtask
+ */
+export function generateSubtaskId() {
+  if (globalThis.crypto?.randomUUID) {
+    return globalThis.crypto.randomUUID()
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+}
+
+/**
+ * Create a new, incomplete subtask
+ */
+export function createSubtask(title) {
+  return {
+    id: generateSubtaskId(),
+    title: title.trim(),
+    completed: false,
+  }
+}
+
+/**
+ * Get the subtasks of a task, tolerating tasks saved before subtasks existed
+ */
+export function getSubtasks(task) {
+  return Array.isArray(task?.subtasks) ? task.subtasks : []
+}
+
+/**
+ * Count completed and total subtasks of a task
+ */
+export function getSubtaskProgress(task) {
+  const subtasks = getSubtasks(task)
+  return {
+    completed: subtasks.filter((subtask) => subtask.completed).length,
+    total: subtasks.length,
+  }
+}
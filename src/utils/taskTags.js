@@ -0,0 +1,37 @@
+const MAX_TAG_LENGTH = 50
+
+/**
+ * Normalize a free-form tag: trimmed, lowercase, without a leading "#",
+ * and with inner whitespace collapsed to dashes
+ */
+export function normalizeTag(tag) {
+  if (typeof tag !== 'string') return ''
+
+  return tag
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .slice(0, MAX_TAG_LENGTH)
+}
+
+/**
+ * Normalize a list of tags, dropping empty values and duplicates
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return []
+
+  const normalized = tags.map(normalizeTag).filter(Boolean)
+  return [...new Set(normalized)]
+}
+
+/**
+ * Collect the unique tags used across tasks, sorted alphabetically
+ */
+export function collectTags(tasks) {
+  const tags = new Set()
+  ;(tasks || []).forEach((task) => {
+    normalizeTags(task.tags).forEach((tag) => tags.add(tag))
+  })
+  return [...tags].sort()
+}
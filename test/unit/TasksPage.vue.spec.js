@@ -0,0 +1,160 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { h } from 'vue'
+import { mount, flushPromises, config } from '@vue/test-utils'
+import { createRouter, createMemoryHistory, RouterView } from 'vue-router'
+import { createPinia, setActivePinia } from 'pinia'
+import { Quasar, QLayout, QPageContainer } from 'quasar'
+import axios from 'config/axios'
+import { useTasksStore, FILTER_TYPES, SORT_TYPES } from 'stores/tasks'
+import TasksPage from '../../src/pages/tasks/TasksPage.vue'
+import TaskDetailPage from '../../src/pages/tasks/TaskDetailPage.vue'
+import TaskDetailPanel from '../../src/components/tasks/TaskDetailPanel.vue'
+import TaskItem from '../../src/components/tasks/TaskItem.vue'
+
+vi.mock('config/axios', () => ({
+  default: {
+    get: vi.fn(),
+    post: vi.fn(),
+    put: vi.fn(),
+    delete: vi.fn(),
+  },
+}))
+
+vi.mock('services/realtime.service', () => ({
+  default: {
+    connect: vi.fn(() => true),
+    disconnect: vi.fn(),
+  },
+}))
+
+vi.mock('services/tabSync.service', () => ({
+  default: {
+    publish: vi.fn(),
+  },
+}))
+
+vi.mock('services/offlineStore.service', () => ({
+  default: {
+    getTasks: vi.fn(() => Promise.resolve([])),
+    saveTasks: vi.fn(() => Promise.resolve()),
+    getMutations: vi.fn(() => Promise.resolve([])),
+    saveMutations: vi.fn(() => Promise.resolve()),
+    clear: vi.fn(() => Promise.resolve()),
+  },
+}))
+
+// jsdom has no layout, so the real virtual scroll renders no rows
+const QVirtualScroll = {
+  props: ['items'],
+  render() {
+    return h(
+      'div',
+      this.items.map((item, index) => this.$slots.default({ item, index })),
+    )
+  },
+}
+
+describe('TasksPage.vue', () => {
+  let router
+  let pinia
+  let globalMocks
+
+  const tasks = [
+    {
+      entity_id: 'task-1',
+      title: 'Ops review',
+      completed: false,
+      tags: ['ops'],
+      created_at: '2025-01-01T10:00:00Z',
+    },
+    {
+      entity_id: 'task-2',
+      title: 'Done already',
+      completed: true,
+      tags: ['ops'],
+      created_at: '2025-01-02T10:00:00Z',
+    },
+  ]
+
+  const mountPage = () =>
+    mount(
+      { render: () => h(QLayout, () => h(QPageContainer, () => h(RouterView))) },
+      {
+        global: { plugins: [Quasar, router, pinia], stubs: { QVirtualScroll } },
+        attachTo: document.body,
+      },
+    )
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    // The page needs the real $q from the Quasar plugin, not the setup stub
+    globalMocks = config.global.mocks
+    config.global.mocks = {}
+    pinia = createPinia()
+    setActivePinia(pinia)
+    axios.get.mockResolvedValue({ data: { success: true, tasks } })
+
+    router = createRouter({
+      history: createMemoryHistory(),
+      routes: [
+        {
+          path: '/tasks',
+          component: TasksPage,
+          children: [{ path: ':id', name: 'task-detail', component: TaskDetailPage }],
+        },
+      ],
+    })
+  })
+
+  afterEach(() => {
+    config.global.mocks = globalMocks
+  })
+
+  it('should keep the view when opening and closing a task', async () => {
+    const query = { filter: FILTER_TYPES.ACTIVE, sort: SORT_TYPES.TITLE, tag: ['ops'] }
+    await router.push({ path: '/tasks', query })
+    const wrapper = mountPage()
+    await flushPromises()
+
+    const store = useTasksStore()
+    const detailsLink = wrapper.find('.details-btn')
+    expect(detailsLink.attributes('href')).toBe('/tasks/task-1?filter=active&sort=title&tag=ops')
+
+    await router.push(detailsLink.attributes('href'))
+    await flushPromises()
+
+    expect(router.currentRoute.value.params.id).toBe('task-1')
+    expect(store.filter).toBe(FILTER_TYPES.ACTIVE)
+    expect(store.sortBy).toBe(SORT_TYPES.TITLE)
+    expect(store.tagFilter).toEqual(['ops'])
+
+    wrapper.findComponent(TaskDetailPanel).vm.$emit('update:modelValue', false)
+    await flushPromises()
+
+    expect(router.currentRoute.value.path).toBe('/tasks')
+    expect(router.currentRoute.value.query).toEqual({ ...query, tag: 'ops' })
+    expect(store.filter).toBe(FILTER_TYPES.ACTIVE)
+    expect(store.sortBy).toBe(SORT_TYPES.TITLE)
+    expect(store.tagFilter).toEqual(['ops'])
+
+    wrapper.unmount()
+  })
+
+  it('should only show selection checkboxes where tasks can be selected', async () => {
+    await router.push('/tasks')
+    const wrapper = mountPage()
+    await flushPromises()
+
+    expect(wrapper.findAll('.select-checkbox')).toHaveLength(tasks.length)
+
+    const item = mount(TaskItem, {
+      props: { task: tasks[0] },
+      global: { plugins: [Quasar, router, pinia] },
+    })
+
+    expect(item.find('.select-checkbox').exists()).toBe(false)
+
+    item.unmount()
+    wrapper.unmount()
+  })
+})
@@ -3,6 +3,7 @@ import { setActivePinia, createPinia } from 'pinia'
 import { Notify } from 'quasar'
 import axios from 'config/axios'
 import localStorageService from 'services/localStorage.service'
+import tabSync from 'services/tabSync.service'
 import { handleAuthRequest, handleOAuthRequest } from '@/utils/apiHelper'
 import { useAuthStore } from 'stores/auth'
 
@@ -28,6 +29,12 @@ vi.mock('services/localStorage.service', () => ({
   },
 }))
 
+vi.mock('services/tabSync.service', () => ({
+  default: {
+    publish: vi.fn(),
+  },
+}))
+
 vi.mock('@/utils/apiHelper', () => ({
   handleAuthRequest: vi.fn(),
   handleOAuthRequest: vi.fn(),
@@ -318,6 +325,18 @@ describe('auth.store.js - Pinia Store', () => {
 
         expect(localStorageService.setItem).toHaveBeenCalledTimes(3)
       })
+
+      it('should tell other tabs about the new session', () => {
+        const store = useAuthStore()
+
+        store.setAuthData({
+          user: createMockUser(),
+          accessToken: 'token',
+          accessTokenExpiry: createValidExpiry(),
+        })
+
+        expect(tabSync.publish).toHaveBeenCalledWith('auth')
+      })
     })
 
     describe('clearAuthData()', () => {
@@ -354,6 +373,14 @@ describe('auth.store.js - Pinia Store', () => {
 
         expect(localStorageService.removeItem).toHaveBeenCalledTimes(3)
       })
+
+      it('should tell other tabs the session ended', () => {
+        const store = useAuthStore()
+
+        store.clearAuthData()
+
+        expect(tabSync.publish).toHaveBeenCalledWith('auth')
+      })
     })
 
     describe('updateUser()', () => {
@@ -396,6 +423,15 @@ describe('auth.store.js - Pinia Store', () => {
 
         expect(store.user).toEqual({ name: 'New' })
       })
+
+      it('should tell other tabs about the profile change', () => {
+        const store = useAuthStore()
+        store.user = createMockUser()
+
+        store.updateUser({ name: 'Updated' })
+
+        expect(tabSync.publish).toHaveBeenCalledWith('auth')
+      })
     })
   })
 
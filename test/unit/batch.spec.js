@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest'
+import { mapWithConcurrency } from '@/utils/batch'
+
+describe('batch.js', () => {
+  describe('mapWithConcurrency', () => {
+    it('should keep results in item order', async () => {
+      const delays = [30, 10, 20]
+
+      const results = await mapWithConcurrency(delays, 2, async (delay, index) => {
+        await new Promise((resolve) => setTimeout(resolve, delay))
+        return index
+      })
+
+      expect(results).toEqual([0, 1, 2])
+    })
+
+    it('should never run more than the limit at once', async () => {
+      let running = 0
+      let peak = 0
+
+      await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async () => {
+        running++
+        peak = Math.max(peak, running)
+        await new Promise((resolve) => setTimeout(resolve, 1))
+        running--
+      })
+
+      expect(peak).toBe(3)
+    })
+
+    it('should resolve to an empty list for no items', async () => {
+      expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([])
+    })
+  })
+})
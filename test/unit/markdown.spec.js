@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest'
+import { escapeHtml, renderMarkdown, toggleMarkdownCheckbox } from '@/utils/markdown'
+
+describe('markdown.js', () => {
+  describe('escapeHtml', () => {
+    it('should escape HTML special characters', () => {
+      expect(escapeHtml(`<a href="x">'&'</a>`)).toBe(
+        '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;',
+      )
+    })
+  })
+
+  describe('renderMarkdown', () => {
+    it('should return an empty string for empty input', () => {
+      expect(renderMarkdown('')).toBe('')
+      expect(renderMarkdown(null)).toBe('')
+    })
+
+    it('should render paragraphs, headings and emphasis', () => {
+      const html = renderMarkdown('## Goal\nShip **fast** and *safely*\nwith ~~no~~ bugs')
+
+      expect(html).toBe(
+        '<h2>Goal</h2>\n<p>Ship <strong>fast</strong> and <em>safely</em><br>with <del>no</del> bugs</p>',
+      )
+    })
+
+    it('should render bullet and ordered lists', () => {
+      expect(renderMarkdown('- one\n- two\n\n1. first\n2. second')).toBe(
+        '<ul><li>one</li><li>two</li></ul>\n<ol><li>first</li><li>second</li></ol>',
+      )
+    })
+
+    it('should render task list items as numbered checkboxes', () => {
+      const html = renderMarkdown('- [ ] Draft\n- [x] Review')
+
+      expect(html).toContain('<input type="checkbox" data-task-index="0"> Draft')
+      expect(html).toContain('<input type="checkbox" data-task-index="1" checked> Review')
+    })
+
+    it('should render links that open in a new tab', () => {
+      const html = renderMarkdown('See [the spec](https://example.com/spec?a=1&b=2)')
+
+      expect(html).toContain(
+        '<a href="https://example.com/spec?a=1&amp;b=2" target="_blank" rel="noopener noreferrer nofollow">the spec</a>',
+      )
+    })
+
+    it('should autolink bare URLs', () => {
+      const html = renderMarkdown('Docs at https://example.com/docs.')
+
+      expect(html).toContain('<a href="https://example.com/docs."')
+    })
+
+    it('should not apply emphasis inside code spans or links', () => {
+      const html = renderMarkdown('`a*b*c` and https://example.com/*x*')
+
+      expect(html).toContain('<code>a*b*c</code>')
+      expect(html).toContain('href="https://example.com/*x*"')
+      expect(html).not.toContain('<em>')
+    })
+
+    it('should not let placeholder characters in the text pull in stashed HTML', () => {
+      expect(renderMarkdown('`code` \uE0000\uE000')).toBe('<p><code>code</code> 0</p>')
+    })
+
+    it('should escape raw HTML', () => {
+      const html = renderMarkdown('<img src=x onerror="alert(1)"><script>alert(1)</script>')
+
+      expect(html).not.toContain('<img')
+      expect(html).not.toContain('<script')
+      expect(html).toContain('&lt;script&gt;')
+    })
+
+    it('should drop links with unsafe protocols', () => {
+      const html = renderMarkdown('[click](javascript:alert(1)) [data](data:text/html,x)')
+
+      expect(html).not.toContain('<a')
+      expect(html).not.toContain('href')
+    })
+
+    it('should not let link URLs break out of the href attribute', () => {
+      const html = renderMarkdown('[x](https://example.com/"onmouseover="alert(1))')
+
+      expect(html).not.toContain('"onmouseover="')
+    })
+
+    it('should keep fenced code verbatim and escaped', () => {
+      const html = renderMarkdown('```\n- [ ] not a task\n<b>raw</b>\n```')
+
+      expect(html).toBe('<pre><code>- [ ] not a task\n&lt;b&gt;raw&lt;/b&gt;</code></pre>')
+    })
+  })
+
+  describe('toggleMarkdownCheckbox', () => {
+    it('should flip the n-th task list item', () => {
+      const source = '- [ ] one\n- [x] two'
+
+      expect(toggleMarkdownCheckbox(source, 0)).toBe('- [x] one\n- [x] two')
+      expect(toggleMarkdownCheckbox(source, 1)).toBe('- [ ] one\n- [ ] two')
+    })
+
+    it('should skip task-like lines inside code fences', () => {
+      const source = '```\n- [ ] code\n```\n- [ ] real'
+
+      expect(toggleMarkdownCheckbox(source, 0)).toBe('```\n- [ ] code\n```\n- [x] real')
+    })
+
+    it('should leave the source unchanged for an unknown index', () => {
+      expect(toggleMarkdownCheckbox('- [ ] one', 3)).toBe('- [ ] one')
+    })
+  })
+})
@@ -0,0 +1,155 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { reactive } from 'vue'
+import { IDBFactory } from 'fake-indexeddb'
+
+describe('offlineStore.service.js', () => {
+  let offlineStore
+
+  // Each import is a fresh service without an open database
+  const loadService = async () => {
+    vi.resetModules()
+    return (await import('services/offlineStore.service')).default
+  }
+
+  beforeEach(async () => {
+    // A new factory per test, so no database is left over from an earlier one
+    vi.stubGlobal('indexedDB', new IDBFactory())
+    offlineStore = await loadService()
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  describe('open()', () => {
+    it('should create the object stores on first use', async () => {
+      const db = await offlineStore.open()
+
+      expect(db.name).toBe('quarterhorse-offline')
+      expect(db.version).toBe(1)
+      expect([...db.objectStoreNames]).toEqual(['mutations', 'tasks'])
+      expect(db.transaction('tasks').objectStore('tasks').keyPath).toBe('entity_id')
+      expect(db.transaction('mutations').objectStore('mutations').keyPath).toBe('seq')
+    })
+
+    it('should reuse the open database', async () => {
+      expect(await offlineStore.open()).toBe(await offlineStore.open())
+    })
+
+    it('should keep the data of an existing database', async () => {
+      await offlineStore.saveTasks([{ entity_id: 'a', title: 'Kept' }])
+      ;(await offlineStore.open()).close()
+
+      const reopened = await loadService()
+
+      expect(await reopened.getTasks()).toEqual([{ entity_id: 'a', title: 'Kept' }])
+    })
+
+    it('should try again after the database failed to open', async () => {
+      const error = new Error('Blocked')
+      vi.spyOn(indexedDB, 'open').mockImplementationOnce(() => {
+        const request = {}
+        queueMicrotask(() => {
+          request.error = error
+          request.onerror()
+        })
+        return request
+      })
+
+      await expect(offlineStore.open()).rejects.toBe(error)
+      await expect(offlineStore.open()).resolves.toBeDefined()
+    })
+  })
+
+  describe('saveTasks() / getTasks()', () => {
+    it('should return an empty list before anything is cached', async () => {
+      expect(await offlineStore.getTasks()).toEqual([])
+    })
+
+    it('should replace the cached tasks', async () => {
+      await offlineStore.saveTasks([
+        { entity_id: 'a', title: 'Old' },
+        { entity_id: 'b', title: 'Gone' },
+      ])
+      await offlineStore.saveTasks([{ entity_id: 'a', title: 'New' }])
+
+      expect(await offlineStore.getTasks()).toEqual([{ entity_id: 'a', title: 'New' }])
+    })
+
+    it('should store reactive tasks as plain copies', async () => {
+      const tasks = reactive([{ entity_id: 'a', tags: ['ops'] }])
+
+      await offlineStore.saveTasks(tasks)
+
+      expect(await offlineStore.getTasks()).toEqual([{ entity_id: 'a', tags: ['ops'] }])
+    })
+  })
+
+  describe('saveMutations() / getMutations()', () => {
+    it('should return queued mutations ordered by seq', async () => {
+      await offlineStore.saveMutations([
+        { seq: 10, action: 'delete', taskId: 'c' },
+        { seq: 2, action: 'update', taskId: 'a', payload: { title: 'A' } },
+        { seq: 7, action: 'add', taskId: 'local-1', payload: { title: 'B' } },
+      ])
+
+      const mutations = await offlineStore.getMutations()
+
+      expect(mutations.map((mutation) => mutation.seq)).toEqual([2, 7, 10])
+      expect(mutations[0]).toEqual({
+        seq: 2,
+        action: 'update',
+        taskId: 'a',
+        payload: { title: 'A' },
+      })
+    })
+
+    it('should replace the queued mutations', async () => {
+      await offlineStore.saveMutations([{ seq: 1, action: 'delete', taskId: 'a' }])
+      await offlineStore.saveMutations([])
+
+      expect(await offlineStore.getMutations()).toEqual([])
+    })
+  })
+
+  describe('clear()', () => {
+    it('should remove cached tasks and queued mutations', async () => {
+      await offlineStore.saveTasks([{ entity_id: 'a' }])
+      await offlineStore.saveMutations([{ seq: 1, action: 'delete', taskId: 'a' }])
+
+      await offlineStore.clear()
+
+      expect(await offlineStore.getTasks()).toEqual([])
+      expect(await offlineStore.getMutations()).toEqual([])
+    })
+  })
+
+  describe('without IndexedDB', () => {
+    beforeEach(async () => {
+      vi.stubGlobal('indexedDB', undefined)
+      offlineStore = await loadService()
+    })
+
+    it('should report that it is unavailable and do nothing', async () => {
+      expect(offlineStore.isAvailable()).toBe(false)
+
+      await offlineStore.saveTasks([{ entity_id: 'a' }])
+      await offlineStore.clear()
+
+      expect(await offlineStore.getTasks()).toEqual([])
+      expect(await offlineStore.getMutations()).toEqual([])
+    })
+  })
+
+  describe('errors', () => {
+    it('should log and fall back to an empty list when reading fails', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      vi.spyOn(offlineStore, 'open').mockRejectedValue(new Error('Broken'))
+
+      expect(await offlineStore.getTasks()).toEqual([])
+      expect(await offlineStore.getMutations()).toEqual([])
+      expect(consoleSpy).toHaveBeenCalledWith('Error reading cached tasks', expect.any(Error))
+    })
+  })
+})
@@ -0,0 +1,158 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import realtimeService from 'services/realtime.service'
+
+// Stand-ins for the server side of the realtime channel
+class FakeEventSource {
+  static instances = []
+
+  constructor(url) {
+    this.url = url
+    this.closed = false
+    FakeEventSource.instances.push(this)
+  }
+
+  open() {
+    this.onopen?.()
+  }
+
+  emit(event) {
+    this.onmessage?.({ data: typeof event === 'string' ? event : JSON.stringify(event) })
+  }
+
+  fail() {
+    this.onerror?.()
+  }
+
+  close() {
+    this.closed = true
+  }
+}
+
+class FakeWebSocket extends FakeEventSource {
+  static instances = []
+
+  constructor(url) {
+    super(url)
+    FakeWebSocket.instances.push(this)
+  }
+
+  fail() {
+    this.onclose?.()
+  }
+}
+
+describe('realtime.service.js', () => {
+  let onEvent
+  let onStatusChange
+
+  const lastSource = () => FakeEventSource.instances[FakeEventSource.instances.length - 1]
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    FakeEventSource.instances = []
+    FakeWebSocket.instances = []
+    vi.stubGlobal('EventSource', FakeEventSource)
+    vi.stubGlobal('WebSocket', FakeWebSocket)
+    onEvent = vi.fn()
+    onStatusChange = vi.fn()
+  })
+
+  afterEach(() => {
+    realtimeService.disconnect()
+    vi.unstubAllGlobals()
+    vi.useRealTimers()
+  })
+
+  it('should open an event stream with the access token', () => {
+    const result = realtimeService.connect({
+      token: 'abc',
+      onEvent,
+      onStatusChange,
+      transport: 'sse',
+      url: 'http://localhost:5001/task/events',
+    })
+
+    expect(result).toBe(true)
+    expect(lastSource().url).toBe('http://localhost:5001/task/events?token=abc')
+    expect(onStatusChange).toHaveBeenLastCalledWith('connecting')
+
+    lastSource().open()
+    expect(onStatusChange).toHaveBeenLastCalledWith('connected')
+  })
+
+  it('should pass parsed events on and skip malformed ones', () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
+    realtimeService.connect({ token: 'abc', onEvent, transport: 'sse', url: 'http://x/events' })
+
+    lastSource().emit({ type: 'task.updated', task: { entity_id: 'a' } })
+    lastSource().emit('not json')
+
+    expect(onEvent).toHaveBeenCalledTimes(1)
+    expect(onEvent).toHaveBeenCalledWith({ type: 'task.updated', task: { entity_id: 'a' } })
+    expect(consoleError).toHaveBeenCalled()
+    consoleError.mockRestore()
+  })
+
+  it('should reconnect with an exponential backoff', () => {
+    realtimeService.connect({ token: 'abc', onStatusChange, transport: 'sse', url: 'http://x/e' })
+
+    lastSource().fail()
+    expect(FakeEventSource.instances[0].closed).toBe(true)
+    expect(onStatusChange).toHaveBeenLastCalledWith('reconnecting')
+
+    vi.advanceTimersByTime(999)
+    expect(FakeEventSource.instances).toHaveLength(1)
+    vi.advanceTimersByTime(1)
+    expect(FakeEventSource.instances).toHaveLength(2)
+
+    lastSource().fail()
+    vi.advanceTimersByTime(1999)
+    expect(FakeEventSource.instances).toHaveLength(2)
+    vi.advanceTimersByTime(1)
+    expect(FakeEventSource.instances).toHaveLength(3)
+  })
+
+  it('should reset the backoff once connected again', () => {
+    realtimeService.connect({ token: 'abc', transport: 'sse', url: 'http://x/e' })
+
+    lastSource().fail()
+    vi.advanceTimersByTime(1000)
+    lastSource().open()
+    lastSource().fail()
+    vi.advanceTimersByTime(1000)
+
+    expect(FakeEventSource.instances).toHaveLength(3)
+  })
+
+  it('should use a WebSocket when configured', () => {
+    realtimeService.connect({ token: 'abc', onEvent, transport: 'websocket', url: 'ws://x/ws' })
+
+    expect(FakeWebSocket.instances).toHaveLength(1)
+    expect(FakeWebSocket.instances[0].url).toBe('ws://x/ws?token=abc')
+
+    FakeWebSocket.instances[0].emit({ type: 'task.deleted', entity_id: 'a' })
+    expect(onEvent).toHaveBeenCalledWith({ type: 'task.deleted', entity_id: 'a' })
+
+    FakeWebSocket.instances[0].fail()
+    vi.advanceTimersByTime(1000)
+    expect(FakeWebSocket.instances).toHaveLength(2)
+  })
+
+  it('should stop reconnecting after disconnect', () => {
+    realtimeService.connect({ token: 'abc', onStatusChange, transport: 'sse', url: 'http://x/e' })
+    lastSource().fail()
+
+    realtimeService.disconnect()
+    vi.advanceTimersByTime(30000)
+
+    expect(FakeEventSource.instances).toHaveLength(1)
+    expect(onStatusChange).toHaveBeenLastCalledWith('disconnected')
+  })
+
+  it('should not connect when the transport is turned off', () => {
+    const result = realtimeService.connect({ token: 'abc', transport: 'none' })
+
+    expect(result).toBe(false)
+    expect(FakeEventSource.instances).toHaveLength(0)
+  })
+})
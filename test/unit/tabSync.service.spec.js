@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+// Stand-in for BroadcastChannel that links every channel of the same name,
+// like tabs of one origin
+class FakeBroadcastChannel {
+  static channels = []
+
+  constructor(name) {
+    this.name = name
+    FakeBroadcastChannel.channels.push(this)
+  }
+
+  postMessage(data) {
+    FakeBroadcastChannel.channels
+      .filter((channel) => channel !== this && channel.name === this.name)
+      .forEach((channel) => channel.onmessage?.({ data: structuredClone(data) }))
+  }
+}
+
+describe('tabSync.service.js', () => {
+  let tabSync
+
+  // Each import is a fresh service, standing in for another tab
+  const openTab = async () => {
+    vi.resetModules()
+    return (await import('services/tabSync.service')).default
+  }
+
+  beforeEach(async () => {
+    FakeBroadcastChannel.channels = []
+    vi.stubGlobal('BroadcastChannel', FakeBroadcastChannel)
+    tabSync = await openTab()
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('should deliver messages to the subscribers of other tabs', async () => {
+    const otherTab = await openTab()
+    const handler = vi.fn()
+    const ownHandler = vi.fn()
+    otherTab.subscribe('tasks', handler)
+    tabSync.subscribe('tasks', ownHandler)
+
+    tabSync.publish('tasks', [{ type: 'task.deleted', entity_id: 'a' }])
+
+    expect(handler).toHaveBeenCalledWith([{ type: 'task.deleted', entity_id: 'a' }])
+    expect(ownHandler).not.toHaveBeenCalled()
+  })
+
+  it('should only call the handlers of the message topic', async () => {
+    const otherTab = await openTab()
+    const authHandler = vi.fn()
+    const tasksHandler = vi.fn()
+    otherTab.subscribe('auth', authHandler)
+    otherTab.subscribe('tasks', tasksHandler)
+
+    tabSync.publish('auth')
+
+    expect(authHandler).toHaveBeenCalledWith(null)
+    expect(tasksHandler).not.toHaveBeenCalled()
+  })
+
+  it('should stop calling a handler after unsubscribing', async () => {
+    const otherTab = await openTab()
+    const handler = vi.fn()
+    const unsubscribe = otherTab.subscribe('auth', handler)
+
+    unsubscribe()
+    tabSync.publish('auth')
+
+    expect(handler).not.toHaveBeenCalled()
+  })
+
+  it('should fall back to storage events without BroadcastChannel', async () => {
+    vi.stubGlobal('BroadcastChannel', undefined)
+    const sender = await openTab()
+    const receiver = await openTab()
+    const handler = vi.fn()
+    receiver.subscribe('auth', handler)
+    localStorage.setItem.mockClear()
+
+    sender.publish('auth', { reason: 'logout' })
+    const [key, value] = localStorage.setItem.mock.calls[0]
+    window.dispatchEvent(new StorageEvent('storage', { key, newValue: value }))
+    window.dispatchEvent(new StorageEvent('storage', { key, newValue: null }))
+
+    expect(handler).toHaveBeenCalledTimes(1)
+    expect(handler).toHaveBeenCalledWith({ reason: 'logout' })
+    expect(localStorage.removeItem).toHaveBeenCalledWith(key)
+  })
+})
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest'
+import {
+  CONFLICT_CHOICES,
+  getConflictingFields,
+  canCombineField,
+  combineFieldValues,
+  buildMergedPayload,
+  getFieldLabel,
+  formatFieldValue,
+} from '@/utils/taskConflicts'
+
+describe('taskConflicts.js', () => {
+  const theirs = {
+    entity_id: 'task-1',
+    version: 'v2',
+    title: 'Their title',
+    completed: false,
+    tags: ['work'],
+    notes: 'Their notes',
+  }
+
+  describe('getConflictingFields', () => {
+    it('should list the changed fields that differ from their version', () => {
+      const yours = { title: 'My title', completed: false, tags: ['work'], notes: 'Mine' }
+
+      expect(getConflictingFields(yours, theirs)).toEqual(['title', 'notes'])
+    })
+
+    it('should treat missing and null values as equal', () => {
+      expect(getConflictingFields({ due_date: null }, theirs)).toEqual([])
+      expect(getConflictingFields(null, theirs)).toEqual([])
+    })
+  })
+
+  describe('combineFieldValues', () => {
+    it('should unite tags', () => {
+      expect(canCombineField('tags')).toBe(true)
+      expect(combineFieldValues('tags', ['home', 'Work'], ['work', 'ops'])).toEqual([
+        'work',
+        'ops',
+        'home',
+      ])
+    })
+
+    it('should unite checklist items, keeping your copy of shared ones', () => {
+      const yours = [
+        { id: 'a', title: 'Shared', completed: true },
+        { id: 'b', title: 'Mine', completed: false },
+      ]
+      const their = [
+        { id: 'a', title: 'Shared', completed: false },
+        { id: 'c', title: 'Theirs', completed: false },
+      ]
+
+      expect(combineFieldValues('subtasks', yours, their).map((s) => [s.id, s.completed])).toEqual([
+        ['a', true],
+        ['c', false],
+        ['b', false],
+      ])
+    })
+
+    it('should join notes, theirs first', () => {
+      expect(combineFieldValues('notes', 'Mine', 'Theirs')).toBe('Theirs\n\nMine')
+      expect(combineFieldValues('notes', 'Mine', '')).toBe('Mine')
+    })
+
+    it('should not combine other fields', () => {
+      expect(canCombineField('title')).toBe(false)
+      expect(combineFieldValues('title', 'Mine', 'Theirs')).toBe('Mine')
+    })
+  })
+
+  describe('buildMergedPayload', () => {
+    const yours = { title: 'My title', tags: ['home'], notes: 'Mine' }
+
+    it('should keep your changes by default', () => {
+      expect(buildMergedPayload(yours, theirs)).toEqual(yours)
+    })
+
+    it('should leave out fields where their version is kept', () => {
+      const payload = buildMergedPayload(yours, theirs, {
+        title: CONFLICT_CHOICES.THEIRS,
+        tags: CONFLICT_CHOICES.BOTH,
+        notes: CONFLICT_CHOICES.YOURS,
+      })
+
+      expect(payload).toEqual({ tags: ['work', 'home'], notes: 'Mine' })
+    })
+  })
+
+  describe('formatting', () => {
+    it('should label fields', () => {
+      expect(getFieldLabel('subtasks')).toBe('Checklist')
+      expect(getFieldLabel('custom')).toBe('custom')
+    })
+
+    it('should describe values', () => {
+      expect(formatFieldValue('completed', true)).toBe('Completed')
+      expect(formatFieldValue('priority', 'high')).toBe('High')
+      expect(formatFieldValue('tags', ['a', 'b'])).toBe('#a #b')
+      expect(formatFieldValue('tags', [])).toBe('No tags')
+      expect(formatFieldValue('subtasks', [{ id: 'a', title: 'Step' }])).toBe('Step')
+      expect(formatFieldValue('due_date', null)).toBe('No due date')
+      expect(formatFieldValue('notes', '')).toBe('Empty')
+      expect(formatFieldValue('title', 'Plan')).toBe('Plan')
+    })
+  })
+})
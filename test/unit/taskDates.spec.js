@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  toDateKey,
+  parseDateKey,
+  getTaskDueDateTime,
+  isTaskOverdue,
+  isTaskDueToday,
+  formatTaskDueDate,
+} from '@/utils/taskDates'
+
+describe('taskDates.js', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date(2025, 0, 15, 12, 0, 0))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('toDateKey / parseDateKey', () => {
+    it('should round-trip a local date', () => {
+      const date = new Date(2025, 2, 5)
+
+      expect(toDateKey(date)).toBe('2025-03-05')
+      expect(parseDateKey('2025-03-05')).toEqual(date)
+    })
+
+    it('should return null for invalid keys', () => {
+      expect(parseDateKey(null)).toBeNull()
+      expect(parseDateKey('')).toBeNull()
+      expect(parseDateKey('05/03/2025')).toBeNull()
+    })
+  })
+
+  describe('getTaskDueDateTime', () => {
+    it('should return null when the task has no due date', () => {
+      expect(getTaskDueDateTime({ title: 'No date' })).toBeNull()
+    })
+
+    it('should use the end of day when no time is set', () => {
+      expect(getTaskDueDateTime({ due_date: '2025-01-15' })).toEqual(
+        new Date(2025, 0, 15, 23, 59, 59, 999),
+      )
+    })
+
+    it('should use the due time when set', () => {
+      expect(getTaskDueDateTime({ due_date: '2025-01-15', due_time: '09:30' })).toEqual(
+        new Date(2025, 0, 15, 9, 30),
+      )
+    })
+  })
+
+  describe('isTaskOverdue', () => {
+    it('should flag active tasks due on a past day', () => {
+      expect(isTaskOverdue({ due_date: '2025-01-14', completed: false })).toBe(true)
+    })
+
+    it('should flag active tasks whose due time already passed today', () => {
+      expect(isTaskOverdue({ due_date: '2025-01-15', due_time: '08:00' })).toBe(true)
+    })
+
+    it('should not flag tasks due later today', () => {
+      expect(isTaskOverdue({ due_date: '2025-01-15' })).toBe(false)
+      expect(isTaskOverdue({ due_date: '2025-01-15', due_time: '18:00' })).toBe(false)
+    })
+
+    it('should never flag completed tasks or tasks without a due date', () => {
+      expect(isTaskOverdue({ due_date: '2025-01-01', completed: true })).toBe(false)
+      expect(isTaskOverdue({ title: 'No date' })).toBe(false)
+    })
+  })
+
+  describe('isTaskDueToday', () => {
+    it('should match active tasks due today', () => {
+      expect(isTaskDueToday({ due_date: '2025-01-15' })).toBe(true)
+      expect(isTaskDueToday({ due_date: '2025-01-16' })).toBe(false)
+    })
+
+    it('should ignore completed tasks', () => {
+      expect(isTaskDueToday({ due_date: '2025-01-15', completed: true })).toBe(false)
+    })
+  })
+
+  describe('formatTaskDueDate', () => {
+    it('should use relative labels around today', () => {
+      expect(formatTaskDueDate({ due_date: '2025-01-15' })).toBe('Today')
+      expect(formatTaskDueDate({ due_date: '2025-01-16' })).toBe('Tomorrow')
+      expect(formatTaskDueDate({ due_date: '2025-01-14' })).toBe('Yesterday')
+    })
+
+    it('should include the month, day, year and time when needed', () => {
+      expect(formatTaskDueDate({ due_date: '2025-03-05', due_time: '17:00' })).toBe('Mar 5 17:00')
+      expect(formatTaskDueDate({ due_date: '2026-03-05' })).toBe('Mar 5, 2026')
+    })
+
+    it('should return an empty string without a due date', () => {
+      expect(formatTaskDueDate({})).toBe('')
+    })
+  })
+})
@@ -0,0 +1,211 @@
+import { describe, it, expect } from 'vitest'
+import {
+  EXPORT_FORMATS,
+  toCsv,
+  toJson,
+  toMarkdown,
+  toICalendar,
+  buildExport,
+} from '@/utils/taskExport'
+import { parseCsv, guessColumnMapping, mapCsvRows, validateImportRow } from '@/utils/taskImport'
+
+const NOW = new Date(Date.UTC(2025, 0, 15, 12, 0, 0))
+
+const createTask = (overrides = {}) => ({
+  entity_id: 'task-1',
+  title: 'Pay rent',
+  completed: false,
+  created_at: '2025-01-01T10:00:00Z',
+  ...overrides,
+})
+
+describe('taskExport.js', () => {
+  describe('toCsv', () => {
+    it('should write a header and quote cells that need it', () => {
+      const csv = toCsv([
+        createTask({ title: 'Say "hi", then leave', tags: ['home', 'Bills'], priority: 'high' }),
+        createTask({ title: 'Done', completed: true, notes: 'Line one\nLine two' }),
+      ])
+
+      expect(csv.split('\r\n')).toEqual([
+        'title,completed,due_date,due_time,priority,tags,notes,created_at',
+        '"Say ""hi"", then leave",false,,,high,"home, bills",,2025-01-01T10:00:00Z',
+        'Done,true,,,,,"Line one\nLine two",2025-01-01T10:00:00Z',
+      ])
+    })
+
+    it('should produce a file the importer reads back', () => {
+      const task = createTask({
+        title: 'Call, then email',
+        completed: true,
+        due_date: '2025-02-01',
+        due_time: '09:30',
+        priority: 'urgent',
+        tags: ['work', 'phone'],
+        notes: 'Ask about "the invoice"',
+      })
+      const [headers, ...rows] = parseCsv(toCsv([task]))
+
+      const { task: imported, errors } = validateImportRow(
+        mapCsvRows(rows, guessColumnMapping(headers))[0],
+      )
+
+      expect(errors).toEqual([])
+      expect(imported).toEqual({
+        title: 'Call, then email',
+        completed: true,
+        due_date: '2025-02-01',
+        due_time: '09:30',
+        priority: 'urgent',
+        tags: ['work', 'phone'],
+        notes: 'Ask about "the invoice"',
+      })
+    })
+
+    it('should keep cells from running as spreadsheet formulas', () => {
+      const task = createTask({
+        title: '=HYPERLINK("http://evil.test")',
+        notes: '-1+2',
+        tags: ['@me'],
+      })
+      const csv = toCsv([task])
+
+      expect(csv.split('\r\n')[1]).toBe(
+        `"'=HYPERLINK(""http://evil.test"")",false,,,,'@me,'-1+2,2025-01-01T10:00:00Z`,
+      )
+
+      const [headers, ...rows] = parseCsv(csv)
+      const { task: imported } = validateImportRow(mapCsvRows(rows, guessColumnMapping(headers))[0])
+
+      expect(imported).toMatchObject({ title: task.title, notes: '-1+2' })
+    })
+  })
+
+  describe('toJson', () => {
+    it('should keep the user-facing fields of each task', () => {
+      const data = JSON.parse(
+        toJson([createTask({ version: 'v3', position: 1024, due_date: null, tags: ['a'] })], NOW),
+      )
+
+      expect(data).toEqual({
+        exported_at: '2025-01-15T12:00:00.000Z',
+        tasks: [
+          {
+            entity_id: 'task-1',
+            title: 'Pay rent',
+            completed: false,
+            tags: ['a'],
+            created_at: '2025-01-01T10:00:00Z',
+          },
+        ],
+      })
+    })
+  })
+
+  describe('toMarkdown', () => {
+    it('should write a checklist with details and nested checklist items', () => {
+      const markdown = toMarkdown([
+        createTask({
+          title: 'Plan *trip*',
+          due_date: '2025-02-01',
+          due_time: '09:30',
+          priority: 'high',
+          tags: ['travel'],
+          subtasks: [
+            { id: 's1', title: 'Book hotel', completed: true },
+            { id: 's2', title: 'Pack', completed: false },
+          ],
+        }),
+        createTask({ title: 'Done', completed: true, priority: 'normal' }),
+      ])
+
+      expect(markdown).toBe(
+        [
+          '- [ ] Plan \\*trip\\* (due 2025-02-01 09:30, !high, #travel)',
+          '  - [x] Book hotel',
+          '  - [ ] Pack',
+          '- [x] Done',
+        ].join('\n'),
+      )
+    })
+  })
+
+  describe('toICalendar', () => {
+    it('should write a VTODO for each task with a due date', () => {
+      const ics = toICalendar(
+        [
+          createTask({
+            title: 'Pay rent; quickly, please',
+            due_date: '2025-02-01',
+            priority: 'urgent',
+            tags: ['home'],
+            notes: 'First line\nSecond line',
+            recurrence: 'FREQ=MONTHLY',
+          }),
+          createTask({
+            entity_id: 'task-2',
+            title: 'Standup',
+            due_date: '2025-01-16',
+            due_time: '09:30',
+            completed: true,
+          }),
+          createTask({ entity_id: 'task-3', title: 'Someday' }),
+        ],
+        NOW,
+      )
+
+      expect(ics.endsWith('\r\n')).toBe(true)
+      expect(ics.trimEnd().split('\r\n')).toEqual([
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Quarterhorse//Tasks//EN',
+        'BEGIN:VTODO',
+        'UID:task-1@quarterhorse',
+        'DTSTAMP:20250115T120000Z',
+        'CREATED:20250101T100000Z',
+        'SUMMARY:Pay rent\\; quickly\\, please',
+        'DUE;VALUE=DATE:20250201',
+        'STATUS:NEEDS-ACTION',
+        'PRIORITY:1',
+        'CATEGORIES:home',
+        'DESCRIPTION:First line\\nSecond line',
+        'RRULE:FREQ=MONTHLY',
+        'END:VTODO',
+        'BEGIN:VTODO',
+        'UID:task-2@quarterhorse',
+        'DTSTAMP:20250115T120000Z',
+        'CREATED:20250101T100000Z',
+        'SUMMARY:Standup',
+        'DUE:20250116T093000',
+        'STATUS:COMPLETED',
+        'PRIORITY:5',
+        'END:VTODO',
+        'END:VCALENDAR',
+      ])
+    })
+
+    it('should fold long lines at 75 octets', () => {
+      const ics = toICalendar([createTask({ title: 'é'.repeat(60), due_date: '2025-02-01' })], NOW)
+      const lines = ics.split('\r\n')
+      const start = lines.findIndex((line) => line.startsWith('SUMMARY:'))
+      const encoder = new TextEncoder()
+
+      expect(lines[start + 1].startsWith(' ')).toBe(true)
+      expect(lines.every((line) => encoder.encode(line).length <= 75)).toBe(true)
+      expect(lines[start] + lines[start + 1].slice(1)).toBe(`SUMMARY:${'é'.repeat(60)}`)
+    })
+  })
+
+  describe('buildExport', () => {
+    it('should name the file after the export date and format', () => {
+      const file = buildExport([createTask()], EXPORT_FORMATS.MARKDOWN, NOW)
+
+      expect(file).toEqual({
+        fileName: 'tasks-2025-01-15.md',
+        content: '- [ ] Pay rent',
+        mimeType: 'text/markdown',
+      })
+      expect(buildExport([], EXPORT_FORMATS.ICS, NOW).fileName).toBe('tasks-2025-01-15.ics')
+    })
+  })
+})
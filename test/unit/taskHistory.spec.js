@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest'
+import {
+  sortVersions,
+  getRevertPayload,
+  describeVersionChanges,
+  describeVersionAuthor,
+} from '@/utils/taskHistory'
+
+describe('taskHistory.js', () => {
+  const createVersion = (overrides = {}) => ({
+    entity_id: 'task-1',
+    version: 'v1',
+    title: 'Write docs',
+    completed: false,
+    changed_on: '2025-01-01T10:00:00Z',
+    ...overrides,
+  })
+
+  describe('sortVersions', () => {
+    it('should order versions newest first', () => {
+      const versions = [
+        createVersion({ version: 'v1', changed_on: '2025-01-01T10:00:00Z' }),
+        createVersion({ version: 'v3', changed_on: '2025-01-03T10:00:00Z' }),
+        createVersion({ version: 'v2', changed_on: '2025-01-02T10:00:00Z' }),
+      ]
+
+      expect(sortVersions(versions).map((v) => v.version)).toEqual(['v3', 'v2', 'v1'])
+    })
+
+    it('should not mutate the input and tolerate missing input', () => {
+      const versions = [createVersion({ version: 'a' }), createVersion({ version: 'b' })]
+      sortVersions(versions)
+
+      expect(versions.map((v) => v.version)).toEqual(['a', 'b'])
+      expect(sortVersions(undefined)).toEqual([])
+    })
+  })
+
+  describe('getRevertPayload', () => {
+    it('should keep only user-editable fields', () => {
+      const version = createVersion({
+        priority: 'high',
+        tags: ['ops'],
+        notes: 'Cover the API',
+        position: 5,
+      })
+
+      expect(getRevertPayload(version)).toEqual({
+        title: 'Write docs',
+        notes: 'Cover the API',
+        completed: false,
+        priority: 'high',
+        tags: ['ops'],
+      })
+    })
+  })
+
+  describe('describeVersionChanges', () => {
+    it('should describe the first version as created', () => {
+      expect(describeVersionChanges(createVersion(), undefined)).toEqual(['Created'])
+    })
+
+    it('should describe title changes and completion toggles', () => {
+      const previous = createVersion()
+      const current = createVersion({ title: 'Write better docs', completed: true })
+
+      expect(describeVersionChanges(current, previous)).toEqual([
+        'Renamed from "Write docs" to "Write better docs"',
+        'Marked as completed',
+      ])
+    })
+
+    it('should describe reopening, priority and tag changes', () => {
+      const previous = createVersion({ completed: true })
+      const current = createVersion({ priority: 'urgent', tags: ['ops', 'billing'] })
+
+      expect(describeVersionChanges(current, previous)).toEqual([
+        'Reopened',
+        'Priority changed to Urgent',
+        'Tags set to #ops #billing',
+      ])
+    })
+
+    it('should describe notes changes', () => {
+      const previous = createVersion()
+      const withNotes = createVersion({ notes: 'Cover the API' })
+
+      expect(describeVersionChanges(withNotes, previous)).toEqual(['Notes updated'])
+      expect(describeVersionChanges(previous, withNotes)).toEqual(['Notes removed'])
+      expect(describeVersionChanges(createVersion({ notes: '' }), previous)).toEqual(['Updated'])
+    })
+
+    it('should treat a missing priority as normal', () => {
+      const previous = createVersion()
+      const current = createVersion({ priority: 'normal' })
+
+      expect(describeVersionChanges(current, previous)).toEqual(['Updated'])
+    })
+
+    it('should describe soft deletes and restores', () => {
+      const active = createVersion()
+      const inactive = createVersion({ active: false })
+
+      expect(describeVersionChanges(inactive, active)).toEqual(['Moved to trash'])
+      expect(describeVersionChanges(active, inactive)).toEqual(['Restored from trash'])
+    })
+  })
+
+  describe('describeVersionAuthor', () => {
+    it('should prefer the author name when provided', () => {
+      const version = createVersion({ changed_by: { first_name: 'Sam', last_name: 'Lee' } })
+
+      expect(describeVersionAuthor(version, null)).toBe('Sam Lee')
+    })
+
+    it('should recognise the current user', () => {
+      const version = createVersion({ changed_by_id: 'person-1' })
+
+      expect(describeVersionAuthor(version, { entity_id: 'person-1' })).toBe('You')
+      expect(describeVersionAuthor(version, { entity_id: 'person-2' })).toBe('Someone')
+    })
+  })
+})
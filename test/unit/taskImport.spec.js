@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest'
+import {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  parseCsv,
+  guessColumnMapping,
+  mapCsvRows,
+  parseJsonTasks,
+  parseTodoTxt,
+  validateImportRow,
+} from '@/utils/taskImport'
+
+describe('taskImport.js', () => {
+  describe('detectImportFormat', () => {
+    it('should pick the format from the file extension', () => {
+      expect(detectImportFormat('tasks.CSV')).toBe(IMPORT_FORMATS.CSV)
+      expect(detectImportFormat('export.json')).toBe(IMPORT_FORMATS.JSON)
+      expect(detectImportFormat('todo.txt')).toBe(IMPORT_FORMATS.TODO_TXT)
+      expect(detectImportFormat('notes.docx')).toBeNull()
+    })
+  })
+
+  describe('parseCsv', () => {
+    it('should handle quoted cells, escaped quotes and line breaks', () => {
+      const text = 'Title,Notes\r\n"Buy milk, eggs","Say ""hi""\nto Bob"\r\n\r\nPlain,\n'
+
+      expect(parseCsv(text)).toEqual([
+        ['Title', 'Notes'],
+        ['Buy milk, eggs', 'Say "hi"\nto Bob'],
+        ['Plain', ''],
+      ])
+    })
+
+    it('should detect semicolon and tab delimiters', () => {
+      expect(parseCsv('Title;Due\nPay rent;2025-02-01')).toEqual([
+        ['Title', 'Due'],
+        ['Pay rent', '2025-02-01'],
+      ])
+      expect(parseCsv('Title\tDue\nPay rent\t2025-02-01')[1]).toEqual(['Pay rent', '2025-02-01'])
+    })
+
+    it('should ignore a byte order mark', () => {
+      expect(parseCsv('\uFEFFTitle\nA')[0]).toEqual(['Title'])
+    })
+  })
+
+  describe('guessColumnMapping / mapCsvRows', () => {
+    it('should map columns by their header names', () => {
+      const mapping = guessColumnMapping(['Task Name', 'Task', 'Due Date', 'Labels', 'Status'])
+
+      expect(mapping).toEqual({
+        title: 1,
+        notes: null,
+        completed: 4,
+        due_date: 2,
+        due_time: null,
+        priority: null,
+        tags: 3,
+      })
+    })
+
+    it('should build raw tasks from the mapped columns only', () => {
+      const rows = [['Pay rent', 'ignored', 'yes']]
+
+      expect(mapCsvRows(rows, { title: 0, notes: null, completed: 2 })).toEqual([
+        { title: 'Pay rent', completed: 'yes' },
+      ])
+    })
+  })
+
+  describe('parseJsonTasks', () => {
+    it('should accept a list or an object with a tasks list', () => {
+      expect(parseJsonTasks('[{"title":"A"}]')).toEqual([{ title: 'A' }])
+      expect(parseJsonTasks('{"tasks":[{"title":"B"}, 3]}')).toEqual([{ title: 'B' }, {}])
+    })
+
+    it('should return null for anything else', () => {
+      expect(parseJsonTasks('{"title":"A"}')).toBeNull()
+      expect(parseJsonTasks('not json')).toBeNull()
+    })
+  })
+
+  describe('parseTodoTxt', () => {
+    it('should read completion, priority, projects, contexts and due dates', () => {
+      const text = [
+        '(A) 2025-01-01 Call mom +family @phone due:2025-01-20',
+        '',
+        'x 2025-01-10 2025-01-02 Renew passport pri:B',
+        '(D) Read about http://example.com',
+      ].join('\n')
+
+      expect(parseTodoTxt(text)).toEqual([
+        {
+          title: 'Call mom',
+          completed: false,
+          priority: 'urgent',
+          tags: ['family', 'phone'],
+          due_date: '2025-01-20',
+        },
+        { title: 'Renew passport', completed: true, priority: 'high', tags: [] },
+        { title: 'Read about http://example.com', completed: false, priority: 'low', tags: [] },
+      ])
+    })
+  })
+
+  describe('validateImportRow', () => {
+    it('should convert a valid row to a task payload', () => {
+      const { task, errors } = validateImportRow({
+        title: '  Pay rent ',
+        notes: 'Transfer',
+        completed: 'Done',
+        due_date: '2025-02-01T9:30',
+        priority: 'Medium',
+        tags: 'Home, #Bills',
+      })
+
+      expect(errors).toEqual([])
+      expect(task).toEqual({
+        title: 'Pay rent',
+        notes: 'Transfer',
+        completed: true,
+        due_date: '2025-02-01',
+        due_time: '09:30',
+        priority: 'normal',
+        tags: ['home', 'bills'],
+      })
+    })
+
+    it('should enforce the title length limit', () => {
+      expect(validateImportRow({ title: 'a'.repeat(200) }).errors).toEqual([])
+      expect(validateImportRow({ title: 'a'.repeat(201) }).errors).toEqual([
+        'Title must be less than 200 characters',
+      ])
+      expect(validateImportRow({ title: ' ' }).errors).toEqual(['Title is required'])
+    })
+
+    it('should report every invalid field', () => {
+      const { errors } = validateImportRow({
+        title: 'Broken',
+        completed: 'maybe',
+        due_date: '2025-02-30',
+        priority: 'asap',
+        recurrence: 'FREQ=HOURLY',
+      })
+
+      expect(errors).toEqual([
+        'Unknown completed value "maybe"',
+        'Due date "2025-02-30" is not a YYYY-MM-DD date',
+        'Unknown priority "asap"',
+        'Unknown repeat rule "FREQ=HOURLY"',
+      ])
+    })
+
+    it('should require a due date for a due time', () => {
+      expect(validateImportRow({ title: 'A', due_time: '25:00' }).errors).toEqual([
+        'Due time "25:00" is not an HH:mm time',
+      ])
+      expect(validateImportRow({ title: 'A', due_time: '10:00' }).errors).toEqual([
+        'Due time needs a due date',
+      ])
+    })
+
+    it('should give imported checklist items new ids', () => {
+      const { task } = validateImportRow({
+        title: 'Trip',
+        subtasks: [{ id: 'old', title: 'Pack', completed: true }, 'Book hotel', { title: '' }],
+      })
+
+      expect(task.subtasks).toEqual([
+        { id: expect.any(String), title: 'Pack', completed: true },
+        { id: expect.any(String), title: 'Book hotel', completed: false },
+      ])
+      expect(task.subtasks[0].id).not.toBe('old')
+    })
+  })
+})
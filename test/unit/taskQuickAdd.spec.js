@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { parseQuickAdd, hasQuickAddFields } from '@/utils/taskQuickAdd'
+
+describe('taskQuickAdd.js', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    // A Wednesday
+    vi.setSystemTime(new Date(2025, 0, 15, 12, 0, 0))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('parseQuickAdd', () => {
+    it('should read every inline field out of the title', () => {
+      expect(parseQuickAdd('Pay invoice tomorrow 5pm #billing !high @alice')).toEqual({
+        title: 'Pay invoice',
+        due_date: '2025-01-16',
+        due_time: '17:00',
+        tags: ['billing'],
+        priority: 'high',
+        assignee: 'alice',
+      })
+    })
+
+    it('should leave plain titles untouched', () => {
+      const parsed = parseQuickAdd('  Buy   milk ')
+
+      expect(parsed.title).toBe('Buy milk')
+      expect(hasQuickAddFields(parsed)).toBe(false)
+    })
+
+    it('should understand relative dates', () => {
+      expect(parseQuickAdd('Call today').due_date).toBe('2025-01-15')
+      expect(parseQuickAdd('Call friday').due_date).toBe('2025-01-17')
+      expect(parseQuickAdd('Call on Mon').due_date).toBe('2025-01-20')
+      expect(parseQuickAdd('Call next wednesday').due_date).toBe('2025-01-22')
+      expect(parseQuickAdd('Call next week').due_date).toBe('2025-01-20')
+      expect(parseQuickAdd('Call in 3 days').due_date).toBe('2025-01-18')
+      expect(parseQuickAdd('Call in 2 weeks').due_date).toBe('2025-01-29')
+      expect(parseQuickAdd('Call on 2025-03-01').due_date).toBe('2025-03-01')
+    })
+
+    it('should only read weekday abbreviations after "on" or "next"', () => {
+      expect(parseQuickAdd('Call next sat').due_date).toBe('2025-01-18')
+      expect(parseQuickAdd('Call on wed').due_date).toBe('2025-01-22')
+      expect(parseQuickAdd('Sat down with Bob')).toMatchObject({
+        title: 'Sat down with Bob',
+        due_date: null,
+      })
+      expect(parseQuickAdd('Wed the pictures to the frames').due_date).toBeNull()
+      expect(parseQuickAdd('Sun cream for the trip').title).toBe('Sun cream for the trip')
+      expect(parseQuickAdd('Fix the frid bug').due_date).toBeNull()
+      expect(parseQuickAdd('Call on thurs').title).toBe('Call on thurs')
+    })
+
+    it('should understand 12 and 24 hour times', () => {
+      expect(parseQuickAdd('Standup at 9:30am tomorrow').due_time).toBe('09:30')
+      expect(parseQuickAdd('Lunch 12pm tomorrow').due_time).toBe('12:00')
+      expect(parseQuickAdd('Deploy 23:15').due_time).toBe('23:15')
+    })
+
+    it('should put a time without a date on the next time it comes', () => {
+      expect(parseQuickAdd('Later 5pm')).toMatchObject({
+        due_date: '2025-01-15',
+        due_time: '17:00',
+      })
+      expect(parseQuickAdd('Early 8am')).toMatchObject({
+        due_date: '2025-01-16',
+        due_time: '08:00',
+      })
+    })
+
+    it('should keep words that only look like fields in the title', () => {
+      const parsed = parseQuickAdd('Meet at home in 3 hours # !maybe mail@example.com 2025-02-30')
+
+      expect(parsed.title).toBe('Meet at home in 3 hours # !maybe mail@example.com 2025-02-30')
+      expect(hasQuickAddFields(parsed)).toBe(false)
+    })
+
+    it('should keep escaped words literally', () => {
+      expect(parseQuickAdd('Fix \\#12 \\today \\@home #bugs')).toMatchObject({
+        title: 'Fix #12 today @home',
+        due_date: null,
+        tags: ['bugs'],
+        assignee: null,
+      })
+    })
+
+    it('should only use the first date, priority and assignee', () => {
+      expect(parseQuickAdd('Plan today tomorrow !low !high @bob @carol #a #A')).toEqual({
+        title: 'Plan tomorrow !high @carol',
+        due_date: '2025-01-15',
+        due_time: null,
+        tags: ['a'],
+        priority: 'low',
+        assignee: 'bob',
+      })
+    })
+  })
+})
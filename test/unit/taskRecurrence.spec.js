@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  parseRecurrence,
+  isValidRecurrence,
+  formatRecurrence,
+  getNextRecurrence,
+  createNextOccurrence,
+  describeRecurrence,
+} from '@/utils/taskRecurrence'
+
+describe('taskRecurrence.js', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    // A Wednesday
+    vi.setSystemTime(new Date(2025, 0, 15, 12, 0, 0))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('parseRecurrence / formatRecurrence', () => {
+    it('should parse a rule and order its weekdays', () => {
+      expect(parseRecurrence('RRULE:freq=weekly;interval=2;byday=TH,MO')).toEqual({
+        freq: 'WEEKLY',
+        interval: 2,
+        byDay: ['MO', 'TH'],
+        byMonthDay: [],
+        count: null,
+        until: null,
+      })
+    })
+
+    it('should round-trip a rule', () => {
+      const rule = 'FREQ=MONTHLY;BYMONTHDAY=1,15;COUNT=4;UNTIL=20251231'
+
+      expect(parseRecurrence(rule).until).toBe('2025-12-31')
+      expect(formatRecurrence(parseRecurrence(rule))).toBe(rule)
+    })
+
+    it('should reject unsupported or malformed rules', () => {
+      expect(isValidRecurrence(null)).toBe(false)
+      expect(isValidRecurrence('')).toBe(false)
+      expect(isValidRecurrence('FREQ=HOURLY')).toBe(false)
+      expect(isValidRecurrence('FREQ=DAILY;INTERVAL=0')).toBe(false)
+      expect(isValidRecurrence('FREQ=DAILY;BYDAY=MO')).toBe(false)
+      expect(isValidRecurrence('FREQ=WEEKLY;BYDAY=XX')).toBe(false)
+      expect(isValidRecurrence('FREQ=MONTHLY;BYSETPOS=-1')).toBe(false)
+      expect(isValidRecurrence('FREQ=DAILY')).toBe(true)
+    })
+  })
+
+  describe('getNextRecurrence', () => {
+    const next = (recurrence, due_date) => getNextRecurrence({ recurrence, due_date })
+
+    it('should move a daily task to the next day', () => {
+      expect(next('FREQ=DAILY', '2025-01-15')).toEqual({
+        due_date: '2025-01-16',
+        recurrence: 'FREQ=DAILY',
+      })
+    })
+
+    it('should count from today for tasks without a due date', () => {
+      expect(next('FREQ=DAILY;INTERVAL=3', null).due_date).toBe('2025-01-18')
+    })
+
+    it('should pick the next listed weekday', () => {
+      expect(next('FREQ=WEEKLY;BYDAY=MO,TH', '2025-01-15').due_date).toBe('2025-01-16')
+      expect(next('FREQ=WEEKLY;BYDAY=MO,TH', '2025-01-16').due_date).toBe('2025-01-20')
+      expect(next('FREQ=WEEKLY', '2025-01-15').due_date).toBe('2025-01-22')
+    })
+
+    it('should skip the weeks between intervals', () => {
+      expect(next('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH', '2025-01-16').due_date).toBe('2025-01-27')
+    })
+
+    it('should keep monthly dates inside short months', () => {
+      expect(next('FREQ=MONTHLY', '2025-01-31').due_date).toBe('2025-02-28')
+      expect(next('FREQ=MONTHLY;BYMONTHDAY=1,15', '2025-01-15').due_date).toBe('2025-02-01')
+    })
+
+    it('should come back to the original day of the month after a short month', () => {
+      const dueDates = []
+      let task = { due_date: '2025-01-31', recurrence: 'FREQ=MONTHLY' }
+      for (let step = 0; step < 4; step++) {
+        task = getNextRecurrence(task)
+        dueDates.push(task.due_date)
+      }
+
+      expect(dueDates).toEqual(['2025-02-28', '2025-03-31', '2025-04-30', '2025-05-31'])
+      expect(task.recurrence).toBe('FREQ=MONTHLY;BYMONTHDAY=31')
+    })
+
+    it('should move a yearly task to the same day next year', () => {
+      expect(next('FREQ=YEARLY', '2025-03-10').due_date).toBe('2026-03-10')
+    })
+
+    it('should skip occurrences already in the past', () => {
+      expect(next('FREQ=DAILY', '2025-01-10').due_date).toBe('2025-01-15')
+      expect(next('FREQ=YEARLY', '2024-02-29').due_date).toBe('2025-02-28')
+    })
+
+    it('should count down and end a limited series', () => {
+      expect(next('FREQ=DAILY;COUNT=3', '2025-01-15').recurrence).toBe('FREQ=DAILY;COUNT=2')
+      expect(next('FREQ=DAILY;COUNT=1', '2025-01-15')).toBeNull()
+      expect(next('FREQ=DAILY;UNTIL=20250116', '2025-01-16')).toBeNull()
+    })
+
+    it('should return null for tasks that do not repeat', () => {
+      expect(next(null, '2025-01-15')).toBeNull()
+      expect(next('FREQ=SECONDLY', '2025-01-15')).toBeNull()
+    })
+  })
+
+  describe('createNextOccurrence', () => {
+    it('should copy the task with an unchecked checklist', () => {
+      const task = {
+        entity_id: 'task-1',
+        title: 'Water plants',
+        completed: true,
+        priority: 'high',
+        tags: ['home'],
+        due_date: '2025-01-15',
+        due_time: '09:00',
+        recurrence: 'FREQ=WEEKLY;BYDAY=WE',
+        subtasks: [{ id: 'sub-1', title: 'Balcony', completed: true }],
+      }
+
+      const occurrence = createNextOccurrence(task)
+
+      expect(occurrence).toMatchObject({
+        title: 'Water plants',
+        priority: 'high',
+        tags: ['home'],
+        due_date: '2025-01-22',
+        due_time: '09:00',
+        recurrence: 'FREQ=WEEKLY;BYDAY=WE',
+      })
+      expect(occurrence).not.toHaveProperty('entity_id')
+      expect(occurrence).not.toHaveProperty('completed')
+      expect(occurrence.subtasks).toEqual([
+        { id: expect.any(String), title: 'Balcony', completed: false },
+      ])
+      expect(occurrence.subtasks[0].id).not.toBe('sub-1')
+    })
+
+    it('should return null once the series has ended', () => {
+      expect(createNextOccurrence({ title: 'Once', recurrence: 'FREQ=DAILY;COUNT=1' })).toBeNull()
+    })
+  })
+
+  describe('describeRecurrence', () => {
+    it('should describe rules in words', () => {
+      expect(describeRecurrence('FREQ=DAILY')).toBe('Every day')
+      expect(describeRecurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH')).toBe(
+        'Every 2 weeks on Mon, Thu',
+      )
+      expect(describeRecurrence('FREQ=MONTHLY;BYMONTHDAY=1;COUNT=2')).toBe(
+        'Every month on day 1, 2 occurrences left',
+      )
+      expect(describeRecurrence('FREQ=YEARLY;UNTIL=20301231')).toBe('Every year, until 2030-12-31')
+    })
+
+    it('should return an empty string for invalid rules', () => {
+      expect(describeRecurrence('nonsense')).toBe('')
+    })
+  })
+})
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseSearchTerms,
+  matchesSearch,
+  searchTasks,
+  getHighlightSegments,
+  getSearchSnippet,
+} from '@/utils/taskSearch'
+
+describe('taskSearch.js', () => {
+  const task = {
+    title: 'Prepare team meeting',
+    notes: 'Book the room and send the agenda to everyone before Friday',
+    tags: ['Work', 'planning'],
+  }
+
+  describe('parseSearchTerms', () => {
+    it('should split, lowercase and strip leading hashes', () => {
+      expect(parseSearchTerms('  Team  #Work ')).toEqual(['team', 'work'])
+    })
+
+    it('should return no terms for blank or non-string input', () => {
+      expect(parseSearchTerms('   ')).toEqual([])
+      expect(parseSearchTerms(null)).toEqual([])
+    })
+  })
+
+  describe('matchesSearch', () => {
+    it('should match substrings of the title, notes and tags', () => {
+      expect(matchesSearch(task, 'MEET')).toBe(true)
+      expect(matchesSearch(task, 'agenda')).toBe(true)
+      expect(matchesSearch(task, '#work')).toBe(true)
+    })
+
+    it('should require every term to match', () => {
+      expect(matchesSearch(task, 'team agenda')).toBe(true)
+      expect(matchesSearch(task, 'team budget')).toBe(false)
+    })
+
+    it('should match characters in order within a short span', () => {
+      expect(matchesSearch(task, 'mtng')).toBe(true)
+      expect(matchesSearch(task, 'prpr')).toBe(true)
+    })
+
+    it('should not fuzzy match scattered characters or short terms', () => {
+      expect(matchesSearch(task, 'pmg')).toBe(false)
+      expect(matchesSearch(task, 'pm')).toBe(false)
+    })
+
+    it('should match everything for an empty query', () => {
+      expect(matchesSearch(task, '')).toBe(true)
+    })
+  })
+
+  describe('searchTasks', () => {
+    it('should keep only matching tasks', () => {
+      const tasks = [task, { title: 'Buy milk' }]
+
+      expect(searchTasks(tasks, 'milk')).toEqual([{ title: 'Buy milk' }])
+      expect(searchTasks(tasks, '')).toBe(tasks)
+    })
+  })
+
+  describe('getHighlightSegments', () => {
+    it('should mark every exact occurrence', () => {
+      expect(getHighlightSegments('Tea for two, tea for one', 'tea')).toEqual([
+        { text: 'Tea', match: true },
+        { text: ' for two, ', match: false },
+        { text: 'tea', match: true },
+        { text: ' for one', match: false },
+      ])
+    })
+
+    it('should mark the characters of a fuzzy match', () => {
+      expect(getHighlightSegments('meeting', 'mtng')).toEqual([
+        { text: 'm', match: true },
+        { text: 'ee', match: false },
+        { text: 't', match: true },
+        { text: 'i', match: false },
+        { text: 'ng', match: true },
+      ])
+    })
+
+    it('should merge overlapping matches of different terms', () => {
+      expect(getHighlightSegments('deadline', 'dead line')).toEqual([
+        { text: 'deadline', match: true },
+      ])
+    })
+
+    it('should return the whole text unmarked when nothing matches', () => {
+      expect(getHighlightSegments('Buy milk', 'tea')).toEqual([{ text: 'Buy milk', match: false }])
+      expect(getHighlightSegments(null, 'tea')).toEqual([{ text: '', match: false }])
+    })
+  })
+
+  describe('getSearchSnippet', () => {
+    it('should excerpt the text around the first match', () => {
+      const notes = `${'a'.repeat(60)} needle ${'b'.repeat(60)}`
+
+      const snippet = getSearchSnippet(notes, 'needle')
+
+      expect(snippet.startsWith('…')).toBe(true)
+      expect(snippet.endsWith('…')).toBe(true)
+      expect(snippet).toContain('needle')
+    })
+
+    it('should return null when the text does not match', () => {
+      expect(getSearchSnippet(task.notes, 'budget')).toBeNull()
+      expect(getSearchSnippet('', 'budget')).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest'
+import { normalizeTag, normalizeTags, collectTags } from '@/utils/taskTags'
+
+describe('taskTags.js', () => {
+  describe('normalizeTag', () => {
+    it('should trim, lowercase and strip a leading hash', () => {
+      expect(normalizeTag('  #Frontend ')).toBe('frontend')
+    })
+
+    it('should collapse inner whitespace to dashes', () => {
+      expect(normalizeTag('release  checklist')).toBe('release-checklist')
+    })
+
+    it('should return an empty string for non-string input', () => {
+      expect(normalizeTag(null)).toBe('')
+      expect(normalizeTag(42)).toBe('')
+    })
+
+    it('should cap very long tags', () => {
+      expect(normalizeTag('a'.repeat(80))).toHaveLength(50)
+    })
+  })
+
+  describe('normalizeTags', () => {
+    it('should drop empty values and duplicates', () => {
+      expect(normalizeTags(['Ops', '#ops', '', '  ', 'billing'])).toEqual(['ops', 'billing'])
+    })
+
+    it('should return an empty list for non-array input', () => {
+      expect(normalizeTags(undefined)).toEqual([])
+      expect(normalizeTags('ops')).toEqual([])
+    })
+  })
+
+  describe('collectTags', () => {
+    it('should gather unique tags across tasks in alphabetical order', () => {
+      const tasks = [{ tags: ['ops', 'billing'] }, { tags: ['Frontend', 'ops'] }, { title: 'untagged' }]
+
+      expect(collectTags(tasks)).toEqual(['billing', 'frontend', 'ops'])
+    })
+  })
+})
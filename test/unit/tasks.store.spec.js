@@ -0,0 +1,2127 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import { Notify } from 'quasar'
+import axios from 'config/axios'
+import offlineStore from 'services/offlineStore.service'
+import realtimeService from 'services/realtime.service'
+import tabSync from 'services/tabSync.service'
+import {
+  useTasksStore,
+  FILTER_TYPES,
+  SORT_TYPES,
+  UNDO_TIMEOUT,
+  PAGE_SIZE,
+  BATCH_SIZE,
+} from 'stores/tasks'
+
+// Mock all dependencies
+vi.mock('quasar', () => ({
+  Notify: {
+    create: vi.fn(),
+  },
+}))
+
+vi.mock('config/axios', () => ({
+  default: {
+    get: vi.fn(),
+    post: vi.fn(),
+    put: vi.fn(),
+    delete: vi.fn(),
+  },
+}))
+
+vi.mock('services/realtime.service', () => ({
+  default: {
+    connect: vi.fn(() => true),
+    disconnect: vi.fn(),
+  },
+}))
+
+vi.mock('services/tabSync.service', () => ({
+  default: {
+    publish: vi.fn(),
+  },
+}))
+
+vi.mock('services/offlineStore.service', () => ({
+  default: {
+    getTasks: vi.fn(() => Promise.resolve([])),
+    saveTasks: vi.fn(() => Promise.resolve()),
+    getMutations: vi.fn(() => Promise.resolve([])),
+    saveMutations: vi.fn(() => Promise.resolve()),
+    clear: vi.fn(() => Promise.resolve()),
+  },
+}))
+
+describe('tasks.store.js - Pinia Store', () => {
+  // Helper factories
+  const createMockTask = (overrides = {}) => ({
+    entity_id: 'task-1',
+    title: 'Test Task',
+    completed: false,
+    created_at: '2025-01-01T10:00:00Z',
+    ...overrides,
+  })
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    vi.clearAllMocks()
+
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date(2025, 0, 15, 12, 0, 0))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('Due Dates', () => {
+    const seedTasks = (store) => {
+      store.tasks = [
+        createMockTask({ entity_id: 'past', due_date: '2025-01-10' }),
+        createMockTask({ entity_id: 'today', due_date: '2025-01-15' }),
+        createMockTask({ entity_id: 'today-late', due_date: '2025-01-15', due_time: '09:00' }),
+        createMockTask({ entity_id: 'future', due_date: '2025-02-01' }),
+        createMockTask({ entity_id: 'done', due_date: '2025-01-10', completed: true }),
+        createMockTask({ entity_id: 'none' }),
+      ]
+    }
+
+    it('should filter overdue tasks', () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      store.setFilter(FILTER_TYPES.OVERDUE)
+
+      expect(store.filteredTasks.map((t) => t.entity_id)).toEqual(['past', 'today-late'])
+      expect(store.overdueTaskCount).toBe(2)
+    })
+
+    it('should filter tasks due today', () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      store.setFilter(FILTER_TYPES.DUE_TODAY)
+
+      expect(store.filteredTasks.map((t) => t.entity_id)).toEqual(['today', 'today-late'])
+    })
+
+    it('should persist due date changes through updateTask', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask()]
+      axios.put.mockResolvedValue({ data: { success: true } })
+
+      const result = await store.updateTask('task-1', { due_date: '2025-01-20', due_time: null })
+
+      expect(result).toBe(true)
+      expect(axios.put).toHaveBeenCalledWith('/task/task-1', {
+        due_date: '2025-01-20',
+        due_time: null,
+      })
+      expect(store.tasks[0].due_date).toBe('2025-01-20')
+    })
+  })
+
+  describe('Priorities and Sorting', () => {
+    const seedTasks = (store) => {
+      store.tasks = [
+        createMockTask({
+          entity_id: 'b',
+          title: 'banana',
+          priority: 'low',
+          due_date: '2025-01-20',
+          created_at: '2025-01-02T10:00:00Z',
+        }),
+        createMockTask({
+          entity_id: 'a',
+          title: 'Apple',
+          priority: 'urgent',
+          created_at: '2025-01-03T10:00:00Z',
+        }),
+        createMockTask({
+          entity_id: 'c',
+          title: 'cherry',
+          due_date: '2025-01-16',
+          completed: true,
+          created_at: '2025-01-01T10:00:00Z',
+        }),
+        createMockTask({
+          entity_id: 'd',
+          title: 'date',
+          priority: 'high',
+          due_date: '2025-01-16',
+          due_time: '08:00',
+          created_at: '2025-01-04T10:00:00Z',
+        }),
+      ]
+    }
+
+    const visibleIds = (store) => store.visibleTasks.map((t) => t.entity_id)
+
+    it('should sort by creation date', () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      store.setSortBy(SORT_TYPES.CREATED_AT)
+
+      expect(visibleIds(store)).toEqual(['c', 'b', 'a', 'd'])
+    })
+
+    it('should sort by priority with missing priority treated as normal', () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      store.setSortBy(SORT_TYPES.PRIORITY)
+
+      expect(visibleIds(store)).toEqual(['a', 'd', 'c', 'b'])
+    })
+
+    it('should sort by due date with undated tasks last', () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      store.setSortBy(SORT_TYPES.DUE_DATE)
+
+      expect(visibleIds(store)).toEqual(['d', 'c', 'b', 'a'])
+    })
+
+    it('should sort by title case-insensitively', () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      store.setSortBy(SORT_TYPES.TITLE)
+
+      expect(visibleIds(store)).toEqual(['a', 'b', 'c', 'd'])
+    })
+
+    it('should combine the active filter with the sort order', () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      store.setFilter(FILTER_TYPES.ACTIVE)
+      store.setSortBy(SORT_TYPES.PRIORITY)
+
+      expect(visibleIds(store)).toEqual(['a', 'd', 'b'])
+    })
+
+    it('should fall back to manual order for an invalid sort type', () => {
+      const store = useTasksStore()
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      store.setSortBy('nonsense')
+
+      expect(store.sortBy).toBe(SORT_TYPES.MANUAL)
+      expect(warnSpy).toHaveBeenCalled()
+      warnSpy.mockRestore()
+    })
+
+    it('should not mutate the order of the underlying task list', () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      store.setSortBy(SORT_TYPES.TITLE)
+      void store.visibleTasks
+
+      expect(store.tasks.map((t) => t.entity_id)).toEqual(['b', 'a', 'c', 'd'])
+    })
+  })
+
+  describe('Tags', () => {
+    const seedTasks = (store) => {
+      store.tasks = [
+        createMockTask({ entity_id: 'fe', tags: ['frontend'] }),
+        createMockTask({ entity_id: 'ops-done', tags: ['ops'], completed: true }),
+        createMockTask({ entity_id: 'both', tags: ['ops', 'billing'] }),
+        createMockTask({ entity_id: 'none' }),
+      ]
+    }
+
+    it('should expose all tags in use', () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      expect(store.allTags).toEqual(['billing', 'frontend', 'ops'])
+    })
+
+    it('should match tasks carrying any selected tag', () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      store.setTagFilter(['frontend', '#Billing'])
+
+      expect(store.tagFilter).toEqual(['frontend', 'billing'])
+      expect(store.filteredTasks.map((t) => t.entity_id)).toEqual(['fe', 'both'])
+    })
+
+    it('should compose the tag filter with the status filter', () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      store.setTagFilter(['ops'])
+      store.setFilter(FILTER_TYPES.ACTIVE)
+
+      expect(store.filteredTasks.map((t) => t.entity_id)).toEqual(['both'])
+    })
+
+    it('should toggle a single tag in and out of the filter', () => {
+      const store = useTasksStore()
+
+      store.toggleTagFilter('ops')
+      expect(store.tagFilter).toEqual(['ops'])
+
+      store.toggleTagFilter('#OPS')
+      expect(store.tagFilter).toEqual([])
+    })
+  })
+
+  describe('Subtasks', () => {
+    const createTaskWithSubtasks = (overrides = {}) =>
+      createMockTask({
+        subtasks: [
+          { id: 's1', title: 'Write tests', completed: true },
+          { id: 's2', title: 'Ship it', completed: false },
+        ],
+        ...overrides,
+      })
+
+    beforeEach(() => {
+      axios.put.mockResolvedValue({ data: { success: true } })
+    })
+
+    it('should complete all subtasks when completing the parent', async () => {
+      const store = useTasksStore()
+      store.tasks = [createTaskWithSubtasks()]
+
+      await store.toggleTaskComplete('task-1')
+
+      expect(axios.put).toHaveBeenCalledWith('/task/task-1', {
+        completed: true,
+        subtasks: [
+          { id: 's1', title: 'Write tests', completed: true },
+          { id: 's2', title: 'Ship it', completed: true },
+        ],
+      })
+      expect(store.tasks[0].subtasks.every((s) => s.completed)).toBe(true)
+    })
+
+    it('should leave subtasks alone when cascading is disabled', async () => {
+      const store = useTasksStore()
+      store.tasks = [createTaskWithSubtasks()]
+
+      await store.toggleTaskComplete('task-1', { completeSubtasks: false })
+
+      expect(axios.put).toHaveBeenCalledWith('/task/task-1', { completed: true })
+    })
+
+    it('should not touch subtasks when reopening the parent', async () => {
+      const store = useTasksStore()
+      store.tasks = [createTaskWithSubtasks({ completed: true })]
+
+      await store.toggleTaskComplete('task-1')
+
+      expect(axios.put).toHaveBeenCalledWith('/task/task-1', { completed: false })
+    })
+
+    it('should append a new subtask', async () => {
+      const store = useTasksStore()
+      store.tasks = [createTaskWithSubtasks()]
+
+      const result = await store.addSubtask('task-1', '  Announce  ')
+
+      expect(result).toBe(true)
+      expect(store.tasks[0].subtasks).toHaveLength(3)
+      expect(store.tasks[0].subtasks[2]).toMatchObject({ title: 'Announce', completed: false })
+      expect(store.tasks[0].subtasks[2].id).toBeTruthy()
+    })
+
+    it('should ignore blank subtask titles', async () => {
+      const store = useTasksStore()
+      store.tasks = [createTaskWithSubtasks()]
+
+      const result = await store.addSubtask('task-1', '   ')
+
+      expect(result).toBe(false)
+      expect(axios.put).not.toHaveBeenCalled()
+    })
+
+    it('should reopen a completed parent when a subtask is reopened', async () => {
+      const store = useTasksStore()
+      store.tasks = [
+        createTaskWithSubtasks({
+          completed: true,
+          subtasks: [{ id: 's1', title: 'Write tests', completed: true }],
+        }),
+      ]
+
+      await store.toggleSubtask('task-1', 's1')
+
+      expect(store.tasks[0].completed).toBe(false)
+      expect(store.tasks[0].subtasks[0].completed).toBe(false)
+    })
+
+    it('should remove a subtask', async () => {
+      const store = useTasksStore()
+      store.tasks = [createTaskWithSubtasks()]
+
+      await store.removeSubtask('task-1', 's1')
+
+      expect(store.tasks[0].subtasks.map((s) => s.id)).toEqual(['s2'])
+    })
+
+    it('should count parents only in the active task count', () => {
+      const store = useTasksStore()
+      store.tasks = [createTaskWithSubtasks(), createMockTask({ entity_id: 'task-2', completed: true })]
+
+      expect(store.activeTaskCount).toBe(1)
+      expect(store.completedTaskCount).toBe(1)
+    })
+  })
+
+  describe('Manual Ordering', () => {
+    const seedTasks = (store) => {
+      store.tasks = [
+        createMockTask({ entity_id: 'a', position: 1024, created_at: '2025-01-03T10:00:00Z' }),
+        createMockTask({ entity_id: 'b', position: 2048, created_at: '2025-01-01T10:00:00Z' }),
+        createMockTask({ entity_id: 'c', position: 3072, created_at: '2025-01-02T10:00:00Z' }),
+      ]
+    }
+
+    const ids = (tasks) => tasks.map((t) => t.entity_id)
+
+    beforeEach(() => {
+      axios.put.mockResolvedValue({ data: { success: true } })
+    })
+
+    it('should order tasks by position by default with unplaced tasks last', () => {
+      const store = useTasksStore()
+      store.tasks = [
+        createMockTask({ entity_id: 'new', created_at: '2025-01-05T10:00:00Z' }),
+        createMockTask({ entity_id: 'second', position: 2 }),
+        createMockTask({ entity_id: 'first', position: 1 }),
+      ]
+
+      expect(store.sortBy).toBe(SORT_TYPES.MANUAL)
+      expect(ids(store.visibleTasks)).toEqual(['first', 'second', 'new'])
+    })
+
+    it('should keep the manual order when fetching tasks', async () => {
+      const store = useTasksStore()
+      axios.get.mockResolvedValue({
+        data: {
+          success: true,
+          tasks: [
+            createMockTask({ entity_id: 'b', position: 2048 }),
+            createMockTask({ entity_id: 'a', position: 1024 }),
+          ],
+        },
+      })
+
+      await store.getTasks()
+
+      expect(ids(store.tasks)).toEqual(['a', 'b'])
+    })
+
+    it('should place new tasks at the end of the list', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+      axios.post.mockResolvedValue({ data: { success: true } })
+      axios.get.mockResolvedValue({ data: { success: true, tasks: store.tasks } })
+
+      await store.addTask({ title: 'New' })
+
+      expect(axios.post).toHaveBeenCalledWith('/task/', { position: 4096, title: 'New' })
+    })
+
+    it('should move a task between its new neighbours', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      const result = await store.moveTask('c', 0)
+
+      expect(result).toBe(true)
+      expect(axios.put).toHaveBeenCalledTimes(1)
+      expect(axios.put).toHaveBeenCalledWith('/task/c', { position: 0 })
+      expect(ids(store.tasks)).toEqual(['c', 'a', 'b'])
+    })
+
+    it('should move a task down past its neighbour', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      await store.moveTask('a', 1)
+
+      expect(axios.put).toHaveBeenCalledWith('/task/a', { position: 2560 })
+      expect(ids(store.visibleTasks)).toEqual(['b', 'a', 'c'])
+    })
+
+    it('should renumber positions before moving unplaced tasks', async () => {
+      const store = useTasksStore()
+      store.tasks = [
+        createMockTask({ entity_id: 'a', created_at: '2025-01-01T10:00:00Z' }),
+        createMockTask({ entity_id: 'b', created_at: '2025-01-02T10:00:00Z' }),
+        createMockTask({ entity_id: 'c', created_at: '2025-01-03T10:00:00Z' }),
+      ]
+
+      axios.post.mockResolvedValue({
+        data: { success: true, results: [{ success: true }, { success: true }, { success: true }] },
+      })
+
+      await store.moveTask('c', 1)
+
+      expect(axios.post).toHaveBeenCalledTimes(1)
+      expect(axios.post).toHaveBeenCalledWith('/task/batch', {
+        operations: [
+          { action: 'update', entity_id: 'a', data: { position: 1024 } },
+          { action: 'update', entity_id: 'b', data: { position: 2048 } },
+          { action: 'update', entity_id: 'c', data: { position: 3072 } },
+        ],
+      })
+      expect(axios.put).toHaveBeenCalledTimes(1)
+      expect(axios.put).toHaveBeenCalledWith('/task/c', { position: 1536 })
+      expect(ids(store.visibleTasks)).toEqual(['a', 'c', 'b'])
+      expect(Notify.create).not.toHaveBeenCalled()
+    })
+
+    it('should refuse to move tasks outside manual order', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+      store.setSortBy(SORT_TYPES.TITLE)
+
+      const result = await store.moveTask('c', 0)
+
+      expect(result).toBe(false)
+      expect(axios.put).not.toHaveBeenCalled()
+    })
+
+    it('should not notify on silent updates', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      await store.updateTask('a', { position: 10 }, { silent: true })
+
+      expect(Notify.create).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Undoable Deletion', () => {
+    const seedTasks = (store) => {
+      store.tasks = [
+        createMockTask({ entity_id: 'a', position: 1, completed: true }),
+        createMockTask({ entity_id: 'b', position: 2 }),
+        createMockTask({ entity_id: 'c', position: 3, completed: true }),
+      ]
+    }
+
+    const ids = (tasks) => tasks.map((t) => t.entity_id)
+
+    const clickUndo = () => {
+      const { actions } = Notify.create.mock.calls.at(-1)[0]
+      actions.find((action) => action.label === 'Undo').handler()
+    }
+
+    beforeEach(() => {
+      axios.delete.mockResolvedValue({ data: { success: true } })
+      // Servers without the bulk endpoint get one request per task
+      axios.post.mockRejectedValue({ response: { status: 404 } })
+    })
+
+    it('should hide a deleted task and delete it after the undo window', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      const result = await store.deleteTask('b')
+
+      expect(result).toBe(true)
+      expect(ids(store.tasks)).toEqual(['a', 'c'])
+      expect(axios.delete).not.toHaveBeenCalled()
+
+      await vi.advanceTimersByTimeAsync(UNDO_TIMEOUT)
+
+      expect(axios.delete).toHaveBeenCalledWith('/task/b')
+      expect(store.pendingDeletionIds).toEqual([])
+    })
+
+    it('should restore a deleted task in place when undone', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      await store.deleteTask('b')
+      clickUndo()
+      await vi.advanceTimersByTimeAsync(UNDO_TIMEOUT)
+
+      expect(ids(store.tasks)).toEqual(['a', 'b', 'c'])
+      expect(axios.delete).not.toHaveBeenCalled()
+    })
+
+    it('should restore every cleared task with a single undo', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      await store.clearCompleted()
+
+      expect(ids(store.tasks)).toEqual(['b'])
+      expect(Notify.create).toHaveBeenCalledTimes(1)
+      expect(Notify.create.mock.calls[0][0].message).toBe('Cleared 2 completed tasks')
+
+      clickUndo()
+      await vi.advanceTimersByTimeAsync(UNDO_TIMEOUT)
+
+      expect(ids(store.tasks)).toEqual(['a', 'b', 'c'])
+      expect(axios.delete).not.toHaveBeenCalled()
+    })
+
+    it('should put back only the tasks the server failed to delete', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+      axios.delete.mockImplementation((url) =>
+        url === '/task/c'
+          ? Promise.reject(new Error('Network Error'))
+          : Promise.resolve({ data: { success: true } }),
+      )
+
+      await store.clearCompleted()
+      await vi.advanceTimersByTimeAsync(UNDO_TIMEOUT)
+
+      expect(ids(store.tasks)).toEqual(['b', 'c'])
+      expect(Notify.create).toHaveBeenLastCalledWith(
+        expect.objectContaining({ message: 'Network Error', color: 'negative' }),
+      )
+    })
+
+    it('should keep pending deletions out of refetched tasks', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+      axios.get.mockResolvedValue({
+        data: { success: true, tasks: [createMockTask({ entity_id: 'a' }), createMockTask({ entity_id: 'b' })] },
+      })
+
+      await store.deleteTask('b')
+      await store.getTasks()
+
+      expect(ids(store.tasks)).toEqual(['a'])
+    })
+  })
+
+  describe('Trash', () => {
+    const ids = (tasks) => tasks.map((t) => t.entity_id)
+
+    it('should fetch inactive tasks into the trash', async () => {
+      const store = useTasksStore()
+      axios.get.mockResolvedValue({
+        data: { success: true, tasks: [createMockTask({ entity_id: 'gone', active: false })] },
+      })
+
+      const result = await store.getTrashedTasks()
+
+      expect(result).toBe(true)
+      expect(axios.get).toHaveBeenCalledWith('/task/trash')
+      expect(ids(store.trashedTasks)).toEqual(['gone'])
+      expect(store.trashLoading).toBe(false)
+    })
+
+    it('should move soft-deleted tasks into the trash once deleted', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'a' })]
+      axios.delete.mockResolvedValue({ data: { success: true } })
+
+      await store.deleteTask('a')
+      await vi.advanceTimersByTimeAsync(UNDO_TIMEOUT)
+
+      expect(axios.delete).toHaveBeenCalledWith('/task/a')
+      expect(store.trashedTasks).toEqual([expect.objectContaining({ entity_id: 'a', active: false })])
+    })
+
+    it('should restore a trashed task into the task list', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'b', position: 2 })]
+      store.trashedTasks = [createMockTask({ entity_id: 'a', position: 1, active: false })]
+      axios.post.mockResolvedValue({ data: { success: true } })
+
+      const result = await store.restoreTask('a')
+
+      expect(result).toBe(true)
+      expect(axios.post).toHaveBeenCalledWith('/task/a/restore')
+      expect(store.trashedTasks).toEqual([])
+      expect(ids(store.tasks)).toEqual(['a', 'b'])
+      expect(store.tasks[0].active).toBe(true)
+    })
+
+    it('should keep the task in the trash when restoring fails', async () => {
+      const store = useTasksStore()
+      store.trashedTasks = [createMockTask({ entity_id: 'a', active: false })]
+      axios.post.mockResolvedValue({ data: { success: false, message: 'Nope' } })
+
+      const result = await store.restoreTask('a')
+
+      expect(result).toBe(false)
+      expect(ids(store.trashedTasks)).toEqual(['a'])
+      expect(Notify.create).toHaveBeenCalledWith(expect.objectContaining({ message: 'Nope' }))
+    })
+
+    it('should purge a single task permanently', async () => {
+      const store = useTasksStore()
+      store.trashedTasks = [createMockTask({ entity_id: 'a' }), createMockTask({ entity_id: 'b' })]
+      axios.delete.mockResolvedValue({ data: { success: true } })
+
+      await store.purgeTask('a')
+
+      expect(axios.delete).toHaveBeenCalledWith('/task/a/purge')
+      expect(ids(store.trashedTasks)).toEqual(['b'])
+    })
+
+    it('should empty the whole trash', async () => {
+      const store = useTasksStore()
+      store.trashedTasks = [createMockTask({ entity_id: 'a' }), createMockTask({ entity_id: 'b' })]
+      axios.post.mockResolvedValue({
+        data: { success: true, results: [{ success: true }, { success: true }] },
+      })
+
+      const result = await store.emptyTrash()
+
+      expect(result).toBe(true)
+      expect(axios.post).toHaveBeenCalledWith('/task/batch', {
+        operations: [
+          { action: 'purge', entity_id: 'a' },
+          { action: 'purge', entity_id: 'b' },
+        ],
+      })
+      expect(store.trashedTasks).toEqual([])
+    })
+  })
+
+  describe('Version History', () => {
+    it('should fetch and store versions newest first', async () => {
+      const store = useTasksStore()
+      axios.get.mockResolvedValue({
+        data: {
+          success: true,
+          versions: [
+            { version: 'v1', changed_on: '2025-01-01T10:00:00Z' },
+            { version: 'v2', changed_on: '2025-01-02T10:00:00Z' },
+          ],
+        },
+      })
+
+      const result = await store.getTaskHistory('task-1')
+
+      expect(result).toBe(true)
+      expect(axios.get).toHaveBeenCalledWith('/task/task-1/versions')
+      expect(store.taskHistory['task-1'].map((v) => v.version)).toEqual(['v2', 'v1'])
+      expect(store.historyLoading).toBe(false)
+    })
+
+    it('should report history fetch failures', async () => {
+      const store = useTasksStore()
+      axios.get.mockRejectedValue(new Error('Network Error'))
+
+      const result = await store.getTaskHistory('task-1')
+
+      expect(result).toBe(false)
+      expect(Notify.create).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Network Error' }),
+      )
+    })
+
+    it('should revert a task to an earlier version and refresh its history', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ title: 'New title', completed: true })]
+      axios.put.mockResolvedValue({ data: { success: true } })
+      axios.get.mockResolvedValue({ data: { success: true, versions: [] } })
+
+      const result = await store.revertTask('task-1', {
+        version: 'v1',
+        title: 'Old title',
+        completed: false,
+        changed_on: '2025-01-01T10:00:00Z',
+      })
+
+      expect(result).toBe(true)
+      expect(axios.put).toHaveBeenCalledWith('/task/task-1', {
+        title: 'Old title',
+        completed: false,
+      })
+      expect(store.tasks[0]).toMatchObject({ title: 'Old title', completed: false })
+      expect(axios.get).toHaveBeenCalledWith('/task/task-1/versions')
+    })
+  })
+
+  describe('Single Task', () => {
+    it('should fetch a task that is not loaded yet', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'b', position: 2 })]
+      axios.get.mockResolvedValue({
+        data: { success: true, task: createMockTask({ entity_id: 'a', position: 1 }) },
+      })
+
+      const result = await store.getTask('a')
+
+      expect(result).toBe(true)
+      expect(axios.get).toHaveBeenCalledWith('/task/a')
+      expect(store.tasks.map((t) => t.entity_id)).toEqual(['a', 'b'])
+    })
+
+    it('should refresh a task that is already loaded', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ title: 'Stale' })]
+      axios.get.mockResolvedValue({
+        data: { success: true, task: createMockTask({ title: 'Fresh' }) },
+      })
+
+      await store.getTask('task-1')
+
+      expect(store.tasks).toHaveLength(1)
+      expect(store.tasks[0].title).toBe('Fresh')
+    })
+
+    it('should report missing tasks', async () => {
+      const store = useTasksStore()
+      axios.get.mockResolvedValue({ data: { success: false, message: 'Task not found' } })
+
+      const result = await store.getTask('missing')
+
+      expect(result).toBe(false)
+      expect(store.tasks).toEqual([])
+      expect(Notify.create).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Task not found' }),
+      )
+    })
+  })
+
+  describe('Search', () => {
+    const seedTasks = (store) => {
+      store.tasks = [
+        createMockTask({ entity_id: 'title', title: 'Plan sprint' }),
+        createMockTask({ entity_id: 'notes', title: 'Call', notes: 'Discuss the sprint goal' }),
+        createMockTask({ entity_id: 'tag', title: 'Review', tags: ['sprint'] }),
+        createMockTask({ entity_id: 'other', title: 'Buy milk' }),
+      ]
+    }
+
+    it('should search titles, notes and tags', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      await store.setSearchQuery('  Sprint ')
+
+      expect(store.searchQuery).toBe('Sprint')
+      expect(store.filteredTasks.map((t) => t.entity_id)).toEqual(['title', 'notes', 'tag'])
+      expect(axios.get).not.toHaveBeenCalled()
+    })
+
+    it('should combine search with the status filter', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+      store.tasks[0].completed = true
+
+      store.setFilter(FILTER_TYPES.ACTIVE)
+      await store.setSearchQuery('sprint')
+
+      expect(store.filteredTasks.map((t) => t.entity_id)).toEqual(['notes', 'tag'])
+    })
+
+    it('should search on the server when the list is partial', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+      store.hasMore = true
+      axios.get.mockResolvedValue({
+        data: { success: true, tasks: [createMockTask({ entity_id: 'remote' })] },
+      })
+
+      await store.setSearchQuery('sprint')
+
+      expect(axios.get).toHaveBeenCalledWith('/task/', {
+        params: { limit: PAGE_SIZE, search: 'sprint' },
+      })
+      expect(store.remoteSearch).toBe(true)
+      expect(store.filteredTasks.map((t) => t.entity_id)).toEqual(['remote'])
+    })
+
+    it('should refetch the full list when a server-side search is cleared', async () => {
+      const store = useTasksStore()
+      store.remoteSearch = true
+      store.searchQuery = 'sprint'
+      axios.get.mockResolvedValue({ data: { success: true, tasks: [], has_more: true } })
+
+      await store.setSearchQuery('')
+
+      expect(axios.get).toHaveBeenCalledWith('/task/', { params: { limit: PAGE_SIZE } })
+      expect(store.remoteSearch).toBe(false)
+      expect(store.hasMore).toBe(true)
+    })
+  })
+
+  describe('Pagination', () => {
+    const page = (ids, extra = {}) => ({
+      data: {
+        success: true,
+        tasks: ids.map((id, index) => createMockTask({ entity_id: id, position: index })),
+        ...extra,
+      },
+    })
+
+    it('should fetch the first page and remember the cursor', async () => {
+      const store = useTasksStore()
+      axios.get.mockResolvedValue(page(['a', 'b'], { has_more: true, next_cursor: 'c2' }))
+
+      await store.getTasks()
+
+      expect(axios.get).toHaveBeenCalledWith('/task/', { params: { limit: PAGE_SIZE } })
+      expect(store.hasMore).toBe(true)
+      expect(store.nextCursor).toBe('c2')
+    })
+
+    it('should append the next page', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'a', position: 1 })]
+      store.hasMore = true
+      store.nextCursor = 'c2'
+      axios.get.mockResolvedValue({
+        data: {
+          success: true,
+          tasks: [
+            createMockTask({ entity_id: 'a', position: 1 }),
+            createMockTask({ entity_id: 'b', position: 2 }),
+          ],
+          has_more: false,
+        },
+      })
+
+      const result = await store.loadMore()
+
+      expect(result).toBe(true)
+      expect(axios.get).toHaveBeenCalledWith('/task/', {
+        params: { limit: PAGE_SIZE, cursor: 'c2' },
+      })
+      expect(store.tasks.map((t) => t.entity_id)).toEqual(['a', 'b'])
+      expect(store.hasMore).toBe(false)
+      expect(store.nextCursor).toBeNull()
+    })
+
+    it('should not load more when everything is loaded', async () => {
+      const store = useTasksStore()
+
+      const result = await store.loadMore()
+
+      expect(result).toBe(false)
+      expect(axios.get).not.toHaveBeenCalled()
+    })
+
+    it('should drop a page that arrives after the list was refetched', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'a' })]
+      store.hasMore = true
+      store.nextCursor = 'c2'
+      axios.get.mockImplementation(async () => {
+        store.nextCursor = 'other'
+        return page(['stale'])
+      })
+
+      const result = await store.loadMore()
+
+      expect(result).toBe(false)
+      expect(store.tasks.map((t) => t.entity_id)).toEqual(['a'])
+    })
+
+    it('should count unloaded tasks from server totals', async () => {
+      const store = useTasksStore()
+      axios.get.mockResolvedValue(
+        page(['a', 'b'], { has_more: true, totals: { active: 120, completed: 30 } }),
+      )
+
+      await store.getTasks()
+
+      expect(store.activeTaskCount).toBe(120)
+      expect(store.completedTaskCount).toBe(30)
+
+      store.tasks[0].completed = true
+
+      expect(store.activeTaskCount).toBe(119)
+      expect(store.completedTaskCount).toBe(31)
+    })
+
+    it('should leave the position of new tasks to the server for a partial list', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ position: 1024 })]
+      store.hasMore = true
+      axios.post.mockResolvedValue({ data: { success: true } })
+      axios.get.mockResolvedValue(page([]))
+
+      await store.addTask({ title: 'New' })
+
+      expect(axios.post).toHaveBeenCalledWith('/task/', { title: 'New' })
+    })
+
+    it('should only clear and toggle loaded tasks of a partial list', async () => {
+      const store = useTasksStore()
+      axios.get.mockResolvedValue(
+        page(['a', 'b'], { has_more: true, totals: { active: 2, completed: 5 } }),
+      )
+      await store.getTasks()
+
+      expect(store.completedTaskCount).toBe(5)
+      expect(store.hasLoadedCompletedTasks).toBe(false)
+
+      expect(await store.clearCompleted()).toBe(true)
+      expect(Notify.create).not.toHaveBeenCalled()
+
+      axios.post.mockResolvedValue({
+        data: { success: true, results: [{ success: true }, { success: true }] },
+      })
+
+      expect(await store.toggleAllTasks(true)).toBe(true)
+      expect(store.hasLoadedCompletedTasks).toBe(true)
+      expect(Notify.create).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'All loaded tasks marked as completed!' }),
+      )
+    })
+
+    it('should filter and sort on the server when the list is partial', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'a' })]
+      store.hasMore = true
+      axios.get.mockResolvedValue(page(['z'], { has_more: true, next_cursor: 'c2' }))
+
+      await store.applyViewQuery({ filter: 'active', sort: 'title', tag: 'ops' })
+
+      expect(axios.get).toHaveBeenCalledTimes(1)
+      expect(axios.get).toHaveBeenCalledWith('/task/', {
+        params: { limit: PAGE_SIZE, filter: 'active', sort: 'title', tag: ['ops'] },
+      })
+      expect(store.tasks.map((t) => t.entity_id)).toEqual(['z'])
+
+      await store.loadMore()
+
+      expect(axios.get).toHaveBeenLastCalledWith('/task/', {
+        params: { limit: PAGE_SIZE, filter: 'active', sort: 'title', tag: ['ops'], cursor: 'c2' },
+      })
+    })
+
+    it('should refetch the full list when a server-side view is reset', async () => {
+      const store = useTasksStore()
+      store.setFilter(FILTER_TYPES.COMPLETED, { refresh: false })
+      store.remoteView = { filter: FILTER_TYPES.COMPLETED }
+      axios.get.mockResolvedValue(page(['a'], { has_more: true }))
+
+      await store.setFilter(FILTER_TYPES.ALL)
+
+      expect(axios.get).toHaveBeenCalledWith('/task/', { params: { limit: PAGE_SIZE } })
+      expect(store.remoteView).toBeNull()
+    })
+
+    it('should not refetch a partial list for an unchanged view', async () => {
+      const store = useTasksStore()
+      store.hasMore = true
+
+      await store.applyViewQuery({})
+      await store.setSortBy(SORT_TYPES.MANUAL)
+
+      expect(axios.get).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('View Query', () => {
+    it('should leave default settings out of the query', () => {
+      const store = useTasksStore()
+
+      expect(store.viewQuery).toEqual({})
+    })
+
+    it('should describe the current view as query parameters', async () => {
+      const store = useTasksStore()
+      store.setFilter(FILTER_TYPES.ACTIVE)
+      store.setSortBy(SORT_TYPES.DUE_DATE)
+      store.setTagFilter(['ops', 'web'])
+      await store.setSearchQuery('deploy')
+
+      expect(store.viewQuery).toEqual({
+        filter: FILTER_TYPES.ACTIVE,
+        sort: SORT_TYPES.DUE_DATE,
+        tag: ['ops', 'web'],
+        q: 'deploy',
+      })
+    })
+
+    it('should restore the view from query parameters', async () => {
+      const store = useTasksStore()
+
+      await store.applyViewQuery({ filter: 'active', tag: 'Ops', q: 'deploy' })
+
+      expect(store.filter).toBe(FILTER_TYPES.ACTIVE)
+      expect(store.sortBy).toBe(SORT_TYPES.MANUAL)
+      expect(store.tagFilter).toEqual(['ops'])
+      expect(store.searchQuery).toBe('deploy')
+    })
+
+    it('should reset settings missing from the query', async () => {
+      const store = useTasksStore()
+      store.setFilter(FILTER_TYPES.COMPLETED)
+      store.setTagFilter(['ops'])
+
+      await store.applyViewQuery({})
+
+      expect(store.filter).toBe(FILTER_TYPES.ALL)
+      expect(store.tagFilter).toEqual([])
+    })
+
+    it('should fall back to defaults for invalid values', async () => {
+      const store = useTasksStore()
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      await store.applyViewQuery({ filter: 'bogus', sort: ['title', 'priority'] })
+
+      expect(store.filter).toBe(FILTER_TYPES.ALL)
+      expect(store.sortBy).toBe(SORT_TYPES.TITLE)
+      warnSpy.mockRestore()
+    })
+  })
+
+  describe('Selection and Bulk Actions', () => {
+    const ids = (tasks) => tasks.map((t) => t.entity_id)
+
+    beforeEach(() => {
+      axios.post.mockRejectedValue({ response: { status: 404 } })
+    })
+
+    const seedTasks = (store) => {
+      store.tasks = ['a', 'b', 'c', 'd'].map((id, index) =>
+        createMockTask({ entity_id: id, position: (index + 1) * 1024 }),
+      )
+    }
+
+    it('should toggle single tasks in and out of the selection', () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      store.toggleTaskSelection('b')
+      store.toggleTaskSelection('d')
+      store.toggleTaskSelection('b')
+
+      expect(ids(store.selectedTasks)).toEqual(['d'])
+    })
+
+    it('should select a range from the last clicked task', () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      store.toggleTaskSelection('d')
+      store.toggleTaskSelection('b', { range: true })
+
+      expect(ids(store.selectedTasks)).toEqual(['b', 'c', 'd'])
+    })
+
+    it('should only report selected tasks that are visible', () => {
+      const store = useTasksStore()
+      seedTasks(store)
+      store.tasks[0].completed = true
+
+      store.selectAllVisible()
+      store.setFilter(FILTER_TYPES.ACTIVE)
+
+      expect(ids(store.selectedTasks)).toEqual(['b', 'c', 'd'])
+    })
+
+    it('should complete selected tasks and their subtasks', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+      store.tasks[1].subtasks = [{ id: 's1', title: 'Step', completed: false }]
+      axios.put.mockResolvedValue({ data: { success: true } })
+
+      const result = await store.setTasksCompleted(['a', 'b'], true)
+
+      expect(result).toBe(true)
+      expect(axios.put).toHaveBeenCalledWith('/task/a', { completed: true })
+      expect(axios.put).toHaveBeenCalledWith('/task/b', {
+        completed: true,
+        subtasks: [{ id: 's1', title: 'Step', completed: true }],
+      })
+      expect(store.completedTaskCount).toBe(2)
+      expect(Notify.create).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Completed 2 tasks' }),
+      )
+    })
+
+    it('should skip tasks that already have the requested state', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+      store.tasks[0].completed = true
+      axios.put.mockResolvedValue({ data: { success: true } })
+
+      await store.setTasksCompleted(['a', 'b'], true)
+
+      expect(axios.put).toHaveBeenCalledTimes(1)
+      expect(axios.put).toHaveBeenCalledWith('/task/b', { completed: true })
+    })
+
+    it('should add tags without dropping existing ones', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+      store.tasks[0].tags = ['ops']
+      axios.put.mockResolvedValue({ data: { success: true } })
+
+      await store.addTagsToTasks(['a', 'b'], ['#Ops', 'urgent'])
+
+      expect(axios.put).toHaveBeenCalledWith('/task/a', { tags: ['ops', 'urgent'] })
+      expect(axios.put).toHaveBeenCalledWith('/task/b', { tags: ['ops', 'urgent'] })
+    })
+
+    it('should set priority and due dates on selected tasks', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+      axios.put.mockResolvedValue({ data: { success: true } })
+
+      await store.setTasksPriority(['a', 'c'], 'high')
+      await store.setTasksDueDate(['a'], { due_date: '2025-01-20', due_time: '09:00' })
+
+      expect(axios.put).toHaveBeenCalledWith('/task/c', { priority: 'high' })
+      expect(axios.put).toHaveBeenCalledWith('/task/a', {
+        due_date: '2025-01-20',
+        due_time: '09:00',
+      })
+      expect(store.tasks[0]).toMatchObject({ priority: 'high', due_date: '2025-01-20' })
+    })
+
+    it('should reject an invalid priority', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+
+      const result = await store.setTasksPriority(['a'], 'critical')
+
+      expect(result).toBe(false)
+      expect(axios.put).not.toHaveBeenCalled()
+    })
+
+    it('should report partial failures once', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+      axios.put
+        .mockResolvedValueOnce({ data: { success: true } })
+        .mockRejectedValueOnce(new Error('Network Error'))
+
+      const result = await store.setTasksPriority(['a', 'b'], 'low')
+
+      expect(result).toBe(false)
+      expect(store.tasks[0].priority).toBe('low')
+      expect(store.tasks[1].priority).toBeUndefined()
+      expect(Notify.create).toHaveBeenCalledTimes(1)
+      expect(Notify.create).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Network Error', color: 'negative' }),
+      )
+    })
+
+    it('should delete selected tasks with a single undo', async () => {
+      const store = useTasksStore()
+      seedTasks(store)
+      store.selectAllVisible()
+      axios.delete.mockResolvedValue({ data: { success: true } })
+
+      await store.deleteTasks(['a', 'b'])
+
+      expect(ids(store.tasks)).toEqual(['c', 'd'])
+      expect(store.selectedTaskIds).toEqual(['c', 'd'])
+      expect(Notify.create).toHaveBeenCalledTimes(1)
+
+      await vi.advanceTimersByTimeAsync(UNDO_TIMEOUT)
+
+      expect(axios.delete).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('Batch Operations', () => {
+    const seedTasks = (store, count) => {
+      store.tasks = Array.from({ length: count }, (_, index) =>
+        createMockTask({ entity_id: `t${index}`, title: `Task ${index}`, position: index + 1 }),
+      )
+    }
+
+    const batchResponse = (results) => ({ data: { success: true, results } })
+
+    it('should send several updates in one bulk request', async () => {
+      const store = useTasksStore()
+      seedTasks(store, 3)
+      axios.post.mockResolvedValue(
+        batchResponse([{ success: true }, { success: true }, { success: true }]),
+      )
+
+      const result = await store.toggleAllTasks(true)
+
+      expect(result).toBe(true)
+      expect(axios.post).toHaveBeenCalledTimes(1)
+      expect(axios.post).toHaveBeenCalledWith('/task/batch', {
+        operations: ['t0', 't1', 't2'].map((id) => ({
+          action: 'update',
+          entity_id: id,
+          data: { completed: true },
+        })),
+      })
+      expect(axios.put).not.toHaveBeenCalled()
+      expect(axios.get).not.toHaveBeenCalled()
+      expect(store.allTasksCompleted).toBe(true)
+    })
+
+    it('should split large batches into chunks', async () => {
+      const store = useTasksStore()
+      seedTasks(store, BATCH_SIZE + 2)
+      axios.post.mockImplementation((url, { operations }) =>
+        Promise.resolve(batchResponse(operations.map(() => ({ success: true })))),
+      )
+
+      await store.toggleAllTasks(true)
+
+      expect(axios.post).toHaveBeenCalledTimes(2)
+      expect(axios.post.mock.calls[0][1].operations).toHaveLength(BATCH_SIZE)
+      expect(axios.post.mock.calls[1][1].operations).toHaveLength(2)
+    })
+
+    it('should keep the tasks that succeeded and report the ones that failed', async () => {
+      const store = useTasksStore()
+      seedTasks(store, 3)
+      axios.post.mockResolvedValue(
+        batchResponse([
+          { success: true },
+          { success: false, message: 'Version conflict' },
+          { success: false, message: 'Version conflict' },
+        ]),
+      )
+
+      const result = await store.toggleAllTasks(true)
+
+      expect(result).toBe(false)
+      expect(store.tasks.map((t) => t.completed)).toEqual([true, false, false])
+      expect(axios.get).not.toHaveBeenCalled()
+      expect(Notify.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: 'Failed to update tasks (2 of 3 tasks)',
+          caption: '"Task 1", "Task 2"',
+          color: 'negative',
+        }),
+      )
+    })
+
+    it('should fail the whole chunk when the bulk request fails', async () => {
+      const store = useTasksStore()
+      seedTasks(store, 2)
+      axios.post.mockRejectedValue(new Error('Network Error'))
+
+      const result = await store.toggleAllTasks(true)
+
+      expect(result).toBe(false)
+      expect(axios.put).not.toHaveBeenCalled()
+      expect(store.completedTaskCount).toBe(0)
+    })
+
+    it('should fall back to single requests without a bulk endpoint', async () => {
+      const store = useTasksStore()
+      seedTasks(store, 3)
+      axios.post.mockRejectedValue({ response: { status: 404 } })
+      axios.put.mockResolvedValue({ data: { success: true } })
+
+      await store.toggleAllTasks(true)
+      await store.toggleAllTasks(false)
+
+      expect(store.batchSupported).toBe(false)
+      expect(axios.post).toHaveBeenCalledTimes(1)
+      expect(axios.put).toHaveBeenCalledTimes(6)
+    })
+
+    it('should limit how many single requests run at once', async () => {
+      const store = useTasksStore()
+      seedTasks(store, 10)
+      store.batchSupported = false
+      let inFlight = 0
+      let maxInFlight = 0
+      axios.put.mockImplementation(async () => {
+        inFlight++
+        maxInFlight = Math.max(maxInFlight, inFlight)
+        await Promise.resolve()
+        inFlight--
+        return { data: { success: true } }
+      })
+
+      await store.toggleAllTasks(true)
+
+      expect(axios.put).toHaveBeenCalledTimes(10)
+      expect(maxInFlight).toBeLessThanOrEqual(4)
+    })
+
+    it('should use the regular endpoint for a single task', async () => {
+      const store = useTasksStore()
+      seedTasks(store, 1)
+      axios.put.mockResolvedValue({ data: { success: true } })
+
+      await store.toggleAllTasks(true)
+
+      expect(axios.post).not.toHaveBeenCalled()
+      expect(axios.put).toHaveBeenCalledWith('/task/t0', { completed: true })
+    })
+  })
+
+  describe('Optimistic Updates', () => {
+    const deferred = () => {
+      let resolve
+      let reject
+      const promise = new Promise((res, rej) => {
+        resolve = res
+        reject = rej
+      })
+      return { promise, resolve, reject }
+    }
+
+    it('should show a change before the server responds', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask()]
+      const request = deferred()
+      axios.put.mockReturnValue(request.promise)
+
+      const pending = store.toggleTaskComplete('task-1')
+
+      expect(store.tasks[0].completed).toBe(true)
+
+      request.resolve({ data: { success: true } })
+      expect(await pending).toBe(true)
+      expect(store.tasks[0].completed).toBe(true)
+    })
+
+    it('should roll back a change the server rejects', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ tags: ['ops'] })]
+      axios.put.mockResolvedValue({ data: { success: false, message: 'Task is locked' } })
+
+      const result = await store.updateTask('task-1', { title: 'Renamed', tags: ['web'] })
+
+      expect(result).toBe(false)
+      expect(store.tasks[0]).toMatchObject({ title: 'Test Task', tags: ['ops'] })
+      expect(Notify.create).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Task is locked', color: 'negative' }),
+      )
+    })
+
+    it('should remove fields the failed change added', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask()]
+      axios.put.mockRejectedValue(new Error('Network Error'))
+
+      await store.updateTask('task-1', { priority: 'high' })
+
+      expect(store.tasks[0]).not.toHaveProperty('priority')
+    })
+
+    it('should keep a newer edit when an older one fails', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask()]
+      const first = deferred()
+      axios.put.mockReturnValueOnce(first.promise).mockResolvedValueOnce({ data: { success: true } })
+
+      const pendingFirst = store.updateTask('task-1', { title: 'First' })
+      const pendingSecond = store.updateTask('task-1', { title: 'Second' })
+      first.reject(new Error('Network Error'))
+      await Promise.all([pendingFirst, pendingSecond])
+
+      expect(store.tasks[0].title).toBe('Second')
+      expect(axios.put).toHaveBeenLastCalledWith('/task/task-1', { title: 'Second' })
+    })
+
+    it('should roll back only the tasks whose bulk update failed', async () => {
+      const store = useTasksStore()
+      store.tasks = [
+        createMockTask({ entity_id: 'a', priority: 'low' }),
+        createMockTask({ entity_id: 'b', priority: 'low' }),
+      ]
+      const request = deferred()
+      axios.post.mockReturnValue(request.promise)
+
+      const pending = store.setTasksPriority(['a', 'b'], 'urgent')
+
+      expect(store.tasks.map((t) => t.priority)).toEqual(['urgent', 'urgent'])
+
+      request.resolve({
+        data: { success: true, results: [{ success: true }, { success: false }] },
+      })
+      await pending
+
+      expect(store.tasks.map((t) => t.priority)).toEqual(['urgent', 'low'])
+    })
+
+    it('should put a task back in place when a move fails', async () => {
+      const store = useTasksStore()
+      store.tasks = [
+        createMockTask({ entity_id: 'a', position: 1024 }),
+        createMockTask({ entity_id: 'b', position: 2048 }),
+      ]
+      axios.put.mockRejectedValue(new Error('Network Error'))
+
+      await store.moveTask('b', 0)
+
+      expect(store.tasks.map((t) => t.entity_id)).toEqual(['a', 'b'])
+      expect(store.tasks[1].position).toBe(2048)
+    })
+  })
+
+  describe('Offline Mode', () => {
+    const networkError = () => Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' })
+
+    it('should queue updates made while offline and keep them applied', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask()]
+      store.isOnline = false
+
+      const result = await store.updateTask('task-1', { title: 'Renamed' })
+
+      expect(result).toBe(true)
+      expect(axios.put).not.toHaveBeenCalled()
+      expect(store.tasks[0].title).toBe('Renamed')
+      expect(store.pendingMutations).toEqual([
+        expect.objectContaining({ seq: 1, action: 'update', taskId: 'task-1' }),
+      ])
+      expect(store.pendingSyncTaskIds).toEqual(['task-1'])
+      expect(offlineStore.saveMutations).toHaveBeenCalledWith(store.pendingMutations)
+    })
+
+    it('should queue an update when the request cannot reach the server', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask()]
+      axios.put.mockRejectedValue(networkError())
+
+      const result = await store.updateTask('task-1', { completed: true })
+
+      expect(result).toBe(true)
+      expect(store.tasks[0].completed).toBe(true)
+      expect(store.pendingMutations).toHaveLength(1)
+      expect(Notify.create).not.toHaveBeenCalled()
+    })
+
+    it('should add tasks locally while offline and fold later changes into the add', async () => {
+      const store = useTasksStore()
+      store.isOnline = false
+
+      await store.addTask({ title: 'Offline task' })
+      const taskId = store.tasks[0].entity_id
+      await store.updateTask(taskId, { priority: 'high' }, { silent: true })
+
+      expect(taskId).toMatch(/^local-/)
+      expect(axios.post).not.toHaveBeenCalled()
+      expect(store.pendingMutations).toEqual([
+        expect.objectContaining({
+          action: 'add',
+          taskId,
+          payload: { position: 1024, title: 'Offline task', priority: 'high' },
+        }),
+      ])
+    })
+
+    it('should drop the queued add when a local task is deleted', async () => {
+      const store = useTasksStore()
+      store.isOnline = false
+      await store.addTask({ title: 'Offline task' })
+
+      await store.deleteTask(store.tasks[0].entity_id)
+      await vi.advanceTimersByTimeAsync(UNDO_TIMEOUT)
+
+      expect(store.pendingMutations).toEqual([])
+      expect(axios.delete).not.toHaveBeenCalled()
+    })
+
+    it('should queue bulk changes while offline', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'a' }), createMockTask({ entity_id: 'b' })]
+      store.isOnline = false
+
+      const result = await store.setTasksPriority(['a', 'b'], 'low')
+
+      expect(result).toBe(true)
+      expect(axios.post).not.toHaveBeenCalled()
+      expect(store.pendingMutations.map((m) => m.taskId)).toEqual(['a', 'b'])
+      expect(store.tasks.every((task) => task.priority === 'low')).toBe(true)
+    })
+
+    it('should show cached tasks with queued changes when the list cannot be fetched', async () => {
+      const store = useTasksStore()
+      store.pendingMutations = [
+        { seq: 1, action: 'update', taskId: 'a', payload: { title: 'Edited' }, queuedAt: 'x' },
+      ]
+      offlineStore.getTasks.mockResolvedValue([
+        createMockTask({ entity_id: 'a', position: 1 }),
+        createMockTask({ entity_id: 'b', position: 2 }),
+      ])
+      axios.get.mockRejectedValue(networkError())
+
+      const result = await store.getTasks()
+
+      expect(result).toBe(true)
+      expect(store.tasks.map((t) => t.title)).toEqual(['Edited', 'Test Task'])
+      expect(Notify.create).not.toHaveBeenCalled()
+    })
+
+    it('should replay queued changes in order once back online', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'a' })]
+      store.isOnline = false
+      await store.updateTask('a', { title: 'First' }, { silent: true })
+      await store.addTask({ title: 'New' })
+      axios.put.mockResolvedValue({ data: { success: true } })
+      axios.post.mockResolvedValue({ data: { success: true, task: { entity_id: 'server-1' } } })
+      axios.get.mockResolvedValue({ data: { success: true, tasks: [] } })
+
+      const result = await store.setOnline(true)
+
+      expect(result).toBe(true)
+      expect(axios.put).toHaveBeenCalledWith('/task/a', { title: 'First' })
+      expect(axios.post).toHaveBeenCalledWith('/task/', { position: 1024, title: 'New' })
+      expect(axios.put.mock.invocationCallOrder[0]).toBeLessThan(
+        axios.post.mock.invocationCallOrder[0],
+      )
+      expect(store.pendingMutations).toEqual([])
+      expect(axios.get).toHaveBeenCalled()
+    })
+
+    it('should keep the rest of the queue when the connection drops during sync', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'a' }), createMockTask({ entity_id: 'b' })]
+      store.isOnline = false
+      await store.updateTask('a', { title: 'A' }, { silent: true })
+      await store.updateTask('b', { title: 'B' }, { silent: true })
+      axios.put.mockResolvedValueOnce({ data: { success: true } })
+      axios.put.mockRejectedValueOnce(networkError())
+      axios.get.mockRejectedValue(networkError())
+
+      await store.setOnline(true)
+
+      expect(store.pendingMutations).toEqual([expect.objectContaining({ taskId: 'b' })])
+      expect(store.syncing).toBe(false)
+    })
+
+    it('should drop and report changes the server rejects', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'a', title: 'Report' })]
+      store.isOnline = false
+      await store.updateTask('a', { completed: true }, { silent: true })
+      axios.put.mockRejectedValue({ response: { status: 404, data: { message: 'Task not found' } } })
+      axios.get.mockResolvedValue({ data: { success: true, tasks: [] } })
+
+      const result = await store.setOnline(true)
+
+      expect(result).toBe(false)
+      expect(store.pendingMutations).toEqual([])
+      expect(Notify.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: 'An offline change could not be saved: Task not found',
+          caption: '"Report"',
+          color: 'negative',
+        }),
+      )
+    })
+
+    it('should clear cached data and the queue', async () => {
+      const store = useTasksStore()
+      store.pendingMutations = [{ seq: 1, action: 'delete', taskId: 'a', payload: null }]
+
+      await store.clearOfflineData()
+
+      expect(store.pendingMutations).toEqual([])
+      expect(offlineStore.clear).toHaveBeenCalled()
+    })
+  })
+
+  describe('Realtime Updates', () => {
+    it('should add tasks created elsewhere in position order', () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'a', position: 1024 })]
+
+      const result = store.applyRealtimeEvent({
+        type: 'task.created',
+        task: createMockTask({ entity_id: 'b', position: 512 }),
+      })
+
+      expect(result).toBe(true)
+      expect(store.tasks.map((t) => t.entity_id)).toEqual(['b', 'a'])
+    })
+
+    it('should merge updates into the existing task', () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'a', tags: ['ops'] })]
+
+      store.applyRealtimeEvent({
+        type: 'task.updated',
+        task: { entity_id: 'a', title: 'Renamed elsewhere' },
+      })
+
+      expect(store.tasks).toHaveLength(1)
+      expect(store.tasks[0]).toMatchObject({ title: 'Renamed elsewhere', tags: ['ops'] })
+    })
+
+    it('should remove deleted tasks and deselect them', () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'a' }), createMockTask({ entity_id: 'b' })]
+      store.selectedTaskIds = ['a', 'b']
+
+      store.applyRealtimeEvent({ type: 'task.deleted', entity_id: 'a' })
+      store.applyRealtimeEvent({ type: 'task.updated', task: { entity_id: 'b', active: false } })
+
+      expect(store.tasks).toEqual([])
+      expect(store.selectedTaskIds).toEqual([])
+    })
+
+    it('should leave tasks with unsynced local changes alone', () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'a', title: 'Local' })]
+      store.pendingMutations = [
+        { seq: 1, action: 'update', taskId: 'a', payload: { title: 'Local' } },
+      ]
+      store.pendingDeletionIds = ['b']
+
+      expect(
+        store.applyRealtimeEvent({ type: 'task.updated', task: { entity_id: 'a', title: 'Remote' } }),
+      ).toBe(false)
+      expect(store.applyRealtimeEvent({ type: 'task.created', task: { entity_id: 'b' } })).toBe(
+        false,
+      )
+      expect(store.tasks.map((t) => t.title)).toEqual(['Local'])
+    })
+
+    it('should ignore unknown events', () => {
+      const store = useTasksStore()
+
+      expect(store.applyRealtimeEvent({ type: 'task.archived', entity_id: 'a' })).toBe(false)
+      expect(store.applyRealtimeEvent({ type: 'task.updated' })).toBe(false)
+    })
+
+    it('should ignore created and updated events without the task', () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'a' })]
+
+      expect(store.applyRealtimeEvent({ type: 'task.updated', entity_id: 'a' })).toBe(false)
+      expect(store.applyRealtimeEvent({ type: 'task.created', entity_id: 'b' })).toBe(false)
+      expect(store.tasks.map((t) => t.entity_id)).toEqual(['a'])
+    })
+
+    it('should subscribe with the token and refetch after a reconnect', async () => {
+      const store = useTasksStore()
+      axios.get.mockResolvedValue({ data: { success: true, tasks: [] } })
+
+      store.subscribeRealtime('token-1')
+      const { token, onEvent, onStatusChange } = realtimeService.connect.mock.calls[0][0]
+
+      expect(token).toBe('token-1')
+      onEvent({ type: 'task.created', task: createMockTask({ entity_id: 'x' }) })
+      expect(store.tasks.map((t) => t.entity_id)).toEqual(['x'])
+
+      onStatusChange('connected')
+      expect(axios.get).not.toHaveBeenCalled()
+      onStatusChange('reconnecting')
+      onStatusChange('connected')
+      expect(axios.get).toHaveBeenCalledTimes(1)
+      expect(store.realtimeStatus).toBe('connected')
+
+      store.unsubscribeRealtime()
+      expect(realtimeService.disconnect).toHaveBeenCalled()
+    })
+  })
+
+  describe('Cross-Tab Sync', () => {
+    it('should send updated tasks to other tabs', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask()]
+      axios.put.mockResolvedValue({ data: { success: true } })
+
+      await store.updateTask('task-1', { title: 'Renamed' }, { silent: true })
+
+      expect(tabSync.publish).toHaveBeenCalledWith('tasks', [
+        { type: 'task.updated', task: expect.objectContaining({ title: 'Renamed' }) },
+      ])
+    })
+
+    it('should not send changes the server rejected', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask()]
+      axios.put.mockResolvedValue({ data: { success: false } })
+
+      await store.updateTask('task-1', { title: 'Renamed' })
+
+      expect(tabSync.publish).not.toHaveBeenCalled()
+    })
+
+    it('should send deletions once they reach the server', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask()]
+      axios.delete.mockResolvedValue({ data: { success: true } })
+
+      await store.deleteTask('task-1')
+      expect(tabSync.publish).not.toHaveBeenCalled()
+      await vi.advanceTimersByTimeAsync(UNDO_TIMEOUT)
+
+      expect(tabSync.publish).toHaveBeenCalledWith('tasks', [
+        { type: 'task.deleted', entity_id: 'task-1' },
+      ])
+    })
+
+    it('should send only the tasks a bulk update changed', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'a' }), createMockTask({ entity_id: 'b' })]
+      axios.post.mockResolvedValue({
+        data: { success: true, results: [{ success: true }, { success: false }] },
+      })
+
+      await store.setTasksPriority(['a', 'b'], 'high')
+
+      const [, events] = tabSync.publish.mock.calls[0]
+      expect(events.map((event) => event.task.entity_id)).toEqual(['a'])
+    })
+
+    it('should apply changes from other tabs', () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ entity_id: 'a' }), createMockTask({ entity_id: 'b' })]
+
+      store.receiveTaskChanges([
+        { type: 'task.updated', task: { entity_id: 'a', completed: true } },
+        { type: 'task.deleted', entity_id: 'b' },
+      ])
+
+      expect(store.tasks).toEqual([expect.objectContaining({ entity_id: 'a', completed: true })])
+    })
+
+    it('should refetch when another tab added a task', () => {
+      const store = useTasksStore()
+      axios.get.mockResolvedValue({ data: { success: true, tasks: [] } })
+
+      store.receiveTaskChanges([{ type: 'tasks.refresh' }])
+
+      expect(axios.get).toHaveBeenCalledWith('/task/', expect.anything())
+    })
+  })
+
+  describe('Edit Conflicts', () => {
+    const conflictError = (task) => ({
+      response: { status: 409, data: { message: 'Version conflict', ...(task ? { task } : {}) } },
+    })
+
+    it('should send the known version with updates and keep it current', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ version: 'v1' })]
+      axios.put.mockResolvedValue({ data: { success: true, task: { version: 'v2' } } })
+
+      await store.updateTask('task-1', { title: 'Renamed' }, { silent: true })
+
+      expect(axios.put).toHaveBeenCalledWith('/task/task-1', { title: 'Renamed', version: 'v1' })
+      expect(store.tasks[0].version).toBe('v2')
+    })
+
+    it('should forget a version the response does not report', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ version: 'v1' })]
+      axios.put.mockResolvedValue({ data: { success: true } })
+
+      await store.updateTask('task-1', { title: 'Renamed' }, { silent: true })
+      await store.updateTask('task-1', { title: 'Again' }, { silent: true })
+
+      expect(axios.put).toHaveBeenLastCalledWith('/task/task-1', { title: 'Again' })
+    })
+
+    it('should send quick updates of a task one after another', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ version: 'v1' })]
+      let finishFirst
+      axios.put
+        .mockImplementationOnce(
+          () =>
+            new Promise((resolve) => {
+              finishFirst = () => resolve({ data: { success: true, task: { version: 'v2' } } })
+            }),
+        )
+        .mockResolvedValueOnce({ data: { success: true, task: { version: 'v3' } } })
+
+      const first = store.updateTask('task-1', { completed: true }, { silent: true })
+      const second = store.updateTask('task-1', { title: 'Renamed' }, { silent: true })
+      await vi.advanceTimersByTimeAsync(0)
+
+      expect(axios.put).toHaveBeenCalledTimes(1)
+
+      finishFirst()
+      expect(await Promise.all([first, second])).toEqual([true, true])
+
+      expect(axios.put).toHaveBeenLastCalledWith('/task/task-1', {
+        title: 'Renamed',
+        version: 'v2',
+      })
+      expect(store.tasks[0]).toMatchObject({ completed: true, title: 'Renamed', version: 'v3' })
+      expect(store.editConflicts).toEqual([])
+    })
+
+    it('should show their version and record the conflict', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ version: 'v1', title: 'Original' })]
+      const theirs = createMockTask({ version: 'v2', title: 'Their title' })
+      axios.put.mockRejectedValue(conflictError(theirs))
+
+      const result = await store.updateTask('task-1', { title: 'My title' })
+
+      expect(result).toBe(false)
+      expect(store.tasks[0]).toMatchObject({ title: 'Their title', version: 'v2' })
+      expect(store.editConflicts).toEqual([
+        { taskId: 'task-1', yours: { title: 'My title' }, theirs },
+      ])
+      expect(Notify.create).not.toHaveBeenCalled()
+    })
+
+    it('should fetch their version when the conflict response lacks it', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ version: 'v1' })]
+      axios.put.mockRejectedValue({ response: { status: 412, data: {} } })
+      axios.get.mockResolvedValue({
+        data: { success: true, task: createMockTask({ version: 'v2', completed: true }) },
+      })
+
+      await store.updateTask('task-1', { completed: false, title: 'Mine' })
+
+      expect(axios.get).toHaveBeenCalledWith('/task/task-1')
+      expect(store.editConflicts[0].yours).toEqual({ completed: false, title: 'Mine' })
+      expect(store.tasks[0]).toMatchObject({ completed: true, version: 'v2' })
+    })
+
+    it('should skip the dialog when their version already matches', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ version: 'v1' })]
+      axios.put.mockRejectedValue(
+        conflictError(createMockTask({ version: 'v2', completed: true })),
+      )
+
+      await store.updateTask('task-1', { completed: true })
+
+      expect(store.editConflicts).toEqual([])
+      expect(store.tasks[0]).toMatchObject({ completed: true, version: 'v2' })
+    })
+
+    it('should save the merged change against their version', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ version: 'v2' })]
+      store.editConflicts = [{ taskId: 'task-1', yours: { title: 'Mine' }, theirs: {} }]
+      axios.put.mockResolvedValue({ data: { success: true, task: { version: 'v3' } } })
+
+      const result = await store.resolveEditConflict('task-1', { title: 'Mine' })
+
+      expect(result).toBe(true)
+      expect(store.editConflicts).toEqual([])
+      expect(axios.put).toHaveBeenCalledWith('/task/task-1', { title: 'Mine', version: 'v2' })
+    })
+
+    it('should keep their version when dismissed or resolved without changes', async () => {
+      const store = useTasksStore()
+      store.editConflicts = [
+        { taskId: 'a', yours: { title: 'Mine' }, theirs: {} },
+        { taskId: 'b', yours: { title: 'Mine' }, theirs: {} },
+      ]
+
+      store.dismissEditConflict('a')
+      await store.resolveEditConflict('b', {})
+
+      expect(store.editConflicts).toEqual([])
+      expect(axios.put).not.toHaveBeenCalled()
+    })
+
+    it('should open a conflict for offline changes that hit one during sync', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ version: 'v1' })]
+      store.isOnline = false
+      await store.updateTask('task-1', { title: 'Offline edit' }, { silent: true })
+      axios.put.mockRejectedValue(conflictError(createMockTask({ version: 'v2', title: 'Theirs' })))
+      axios.get.mockResolvedValue({ data: { success: true, tasks: [] } })
+
+      const result = await store.setOnline(true)
+
+      expect(result).toBe(true)
+      expect(store.pendingMutations).toEqual([])
+      expect(store.editConflicts).toEqual([
+        expect.objectContaining({ taskId: 'task-1', yours: { title: 'Offline edit' } }),
+      ])
+    })
+  })
+
+  describe('Recurring Tasks', () => {
+    const recurringTask = (overrides = {}) =>
+      createMockTask({ due_date: '2025-01-15', recurrence: 'FREQ=DAILY;COUNT=3', ...overrides })
+
+    beforeEach(() => {
+      axios.put.mockResolvedValue({ data: { success: true } })
+      axios.post.mockResolvedValue({ data: { success: true } })
+      axios.get.mockResolvedValue({ data: { success: true, tasks: [] } })
+    })
+
+    it('should create the next occurrence when completing a recurring task', async () => {
+      const store = useTasksStore()
+      store.tasks = [recurringTask()]
+
+      const result = await store.toggleTaskComplete('task-1')
+
+      expect(result).toBe(true)
+      expect(axios.put).toHaveBeenCalledWith('/task/task-1', { completed: true, recurrence: null })
+      expect(axios.post).toHaveBeenCalledWith(
+        '/task/',
+        expect.objectContaining({
+          title: 'Test Task',
+          due_date: '2025-01-16',
+          recurrence: 'FREQ=DAILY;COUNT=2',
+        }),
+      )
+      expect(Notify.create).toHaveBeenCalledTimes(1)
+      expect(Notify.create).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Next occurrence due Tomorrow' }),
+      )
+    })
+
+    it('should not create an occurrence when reopening a task', async () => {
+      const store = useTasksStore()
+      store.tasks = [recurringTask({ completed: true })]
+
+      await store.toggleTaskComplete('task-1')
+
+      expect(axios.put).toHaveBeenCalledWith('/task/task-1', { completed: false })
+      expect(axios.post).not.toHaveBeenCalled()
+    })
+
+    it('should not create an occurrence once the series has ended', async () => {
+      const store = useTasksStore()
+      store.tasks = [recurringTask({ recurrence: 'FREQ=DAILY;COUNT=1' })]
+
+      await store.toggleTaskComplete('task-1')
+
+      expect(axios.put).toHaveBeenCalledWith('/task/task-1', { completed: true })
+      expect(axios.post).not.toHaveBeenCalled()
+    })
+
+    it('should not create an occurrence when completing fails', async () => {
+      const store = useTasksStore()
+      store.tasks = [recurringTask()]
+      axios.put.mockResolvedValue({ data: { success: false, message: 'Nope' } })
+
+      const result = await store.toggleTaskComplete('task-1')
+
+      expect(result).toBe(false)
+      expect(axios.post).not.toHaveBeenCalled()
+      expect(store.tasks[0].recurrence).toBe('FREQ=DAILY;COUNT=3')
+    })
+
+    it('should continue recurring series completed in bulk', async () => {
+      const store = useTasksStore()
+      store.tasks = [
+        recurringTask({ entity_id: 'a' }),
+        createMockTask({ entity_id: 'b' }),
+        recurringTask({ entity_id: 'c', title: 'Failing' }),
+      ]
+      axios.post.mockImplementation((url) =>
+        Promise.resolve(
+          url === '/task/batch'
+            ? {
+                data: {
+                  success: true,
+                  results: [{ success: true }, { success: true }, { success: false }],
+                },
+              }
+            : { data: { success: true } },
+        ),
+      )
+
+      await store.setTasksCompleted(['a', 'b', 'c'], true)
+
+      expect(axios.post).toHaveBeenCalledWith('/task/batch', {
+        operations: [
+          { action: 'update', entity_id: 'a', data: { completed: true, recurrence: null } },
+          { action: 'update', entity_id: 'b', data: { completed: true } },
+          { action: 'update', entity_id: 'c', data: { completed: true, recurrence: null } },
+        ],
+      })
+      expect(axios.post).toHaveBeenCalledTimes(2)
+      expect(axios.post).toHaveBeenLastCalledWith(
+        '/task/',
+        expect.objectContaining({ due_date: '2025-01-16', recurrence: 'FREQ=DAILY;COUNT=2' }),
+      )
+    })
+
+    it('should continue recurring series when toggling all tasks', async () => {
+      const store = useTasksStore()
+      store.tasks = [recurringTask()]
+
+      await store.toggleAllTasks(true)
+
+      expect(axios.put).toHaveBeenCalledWith('/task/task-1', { completed: true, recurrence: null })
+      expect(axios.post).toHaveBeenCalledWith(
+        '/task/',
+        expect.objectContaining({ due_date: '2025-01-16', recurrence: 'FREQ=DAILY;COUNT=2' }),
+      )
+    })
+  })
+
+  describe('Task Import', () => {
+    beforeEach(() => {
+      axios.get.mockResolvedValue({ data: { success: true, tasks: [] } })
+    })
+
+    it('should create imported tasks after the existing ones', async () => {
+      const store = useTasksStore()
+      store.tasks = [createMockTask({ position: 1024 })]
+      axios.post.mockResolvedValue({ data: { success: true } })
+
+      const results = await store.importTasks([{ title: 'First' }, { title: 'Second' }])
+
+      expect(results).toEqual([
+        { success: true, message: undefined },
+        { success: true, message: undefined },
+      ])
+      expect(axios.post).toHaveBeenCalledWith('/task/', { position: 2048, title: 'First' })
+      expect(axios.post).toHaveBeenCalledWith('/task/', { position: 3072, title: 'Second' })
+      expect(axios.get).toHaveBeenCalledTimes(1)
+      expect(tabSync.publish).toHaveBeenCalledWith('tasks', [{ type: 'tasks.refresh' }])
+      expect(Notify.create).toHaveBeenCalledTimes(1)
+      expect(Notify.create).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Imported 2 tasks' }),
+      )
+      expect(store.importProgress).toBeNull()
+    })
+
+    it('should report the tasks the server refused', async () => {
+      const store = useTasksStore()
+      axios.post
+        .mockResolvedValueOnce({ data: { success: true } })
+        .mockRejectedValueOnce({ response: { status: 422, data: { message: 'Title taken' } } })
+        .mockResolvedValueOnce({ data: { success: false } })
+
+      const results = await store.importTasks([{ title: 'A' }, { title: 'B' }, { title: 'C' }])
+
+      expect(results).toEqual([
+        { success: true, message: undefined },
+        { success: false, message: 'Title taken' },
+        { success: false, message: 'Failed to add task' },
+      ])
+      expect(Notify.create).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Imported 1 task' }),
+      )
+    })
+
+    it('should track progress while importing', async () => {
+      const store = useTasksStore()
+      const progress = []
+      axios.post.mockImplementation(async () => {
+        progress.push({ ...store.importProgress })
+        return { data: { success: true } }
+      })
+
+      await store.importTasks([{ title: 'A' }, { title: 'B' }])
+
+      expect(progress[0]).toEqual({ completed: 0, total: 2 })
+      expect(store.importProgress).toBeNull()
+    })
+
+    it('should queue imported tasks while offline', async () => {
+      const store = useTasksStore()
+      store.isOnline = false
+
+      const results = await store.importTasks([{ title: 'A' }, { title: 'B' }])
+
+      expect(results.every((result) => result.success && result.queued)).toBe(true)
+      expect(axios.post).not.toHaveBeenCalled()
+      expect(store.pendingMutations.map((mutation) => mutation.action)).toEqual(['add', 'add'])
+      expect(store.tasks.map((task) => task.title)).toEqual(['A', 'B'])
+      expect(Notify.create).toHaveBeenCalledTimes(1)
+      expect(Notify.create).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Imported 2 tasks' }),
+      )
+    })
+  })
+})
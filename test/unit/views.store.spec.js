@@ -0,0 +1,137 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import { Notify } from 'quasar'
+import axios from 'config/axios'
+import { useViewsStore } from 'stores/views'
+
+vi.mock('quasar', () => ({
+  Notify: {
+    create: vi.fn(),
+  },
+}))
+
+vi.mock('config/axios', () => ({
+  default: {
+    get: vi.fn(),
+    post: vi.fn(),
+    delete: vi.fn(),
+  },
+}))
+
+describe('views.store.js - Pinia Store', () => {
+  const createMockView = (overrides = {}) => ({
+    entity_id: 'view-1',
+    name: 'Ops this week',
+    query: { filter: 'active', tag: ['ops'] },
+    ...overrides,
+  })
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    vi.clearAllMocks()
+  })
+
+  describe('getViews', () => {
+    it('should load the saved views', async () => {
+      const store = useViewsStore()
+      axios.get.mockResolvedValue({ data: { success: true, views: [createMockView()] } })
+
+      const result = await store.getViews()
+
+      expect(result).toBe(true)
+      expect(axios.get).toHaveBeenCalledWith('/view/')
+      expect(store.views).toEqual([createMockView()])
+      expect(store.loading).toBe(false)
+    })
+
+    it('should report a failed request', async () => {
+      const store = useViewsStore()
+      axios.get.mockRejectedValue(new Error('Network Error'))
+
+      const result = await store.getViews()
+
+      expect(result).toBe(false)
+      expect(Notify.create).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Network Error', color: 'negative' }),
+      )
+    })
+  })
+
+  describe('sortedViews', () => {
+    it('should list views alphabetically', () => {
+      const store = useViewsStore()
+      store.views = [
+        createMockView({ entity_id: 'b', name: 'overdue' }),
+        createMockView({ entity_id: 'a', name: 'High priority' }),
+      ]
+
+      expect(store.sortedViews.map((view) => view.entity_id)).toEqual(['a', 'b'])
+    })
+  })
+
+  describe('createView', () => {
+    it('should save the query under a trimmed name and refresh the list', async () => {
+      const store = useViewsStore()
+      axios.post.mockResolvedValue({ data: { success: true } })
+      axios.get.mockResolvedValue({ data: { success: true, views: [createMockView()] } })
+
+      const result = await store.createView('  Ops this week ', { filter: 'active', tag: ['ops'] })
+
+      expect(result).toBe(true)
+      expect(axios.post).toHaveBeenCalledWith('/view/', {
+        name: 'Ops this week',
+        query: { filter: 'active', tag: ['ops'] },
+      })
+      expect(store.views).toHaveLength(1)
+    })
+
+    it('should reject an empty name', async () => {
+      const store = useViewsStore()
+
+      const result = await store.createView('   ', { filter: 'active' })
+
+      expect(result).toBe(false)
+      expect(axios.post).not.toHaveBeenCalled()
+      expect(Notify.create).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'View name cannot be empty' }),
+      )
+    })
+
+    it('should reject a name that is too long', async () => {
+      const store = useViewsStore()
+
+      const result = await store.createView('a'.repeat(61), {})
+
+      expect(result).toBe(false)
+      expect(axios.post).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('deleteView', () => {
+    it('should remove the view', async () => {
+      const store = useViewsStore()
+      store.views = [createMockView(), createMockView({ entity_id: 'view-2' })]
+      axios.delete.mockResolvedValue({ data: { success: true } })
+
+      const result = await store.deleteView('view-1')
+
+      expect(result).toBe(true)
+      expect(axios.delete).toHaveBeenCalledWith('/view/view-1')
+      expect(store.views.map((view) => view.entity_id)).toEqual(['view-2'])
+    })
+
+    it('should keep the view when the server refuses', async () => {
+      const store = useViewsStore()
+      store.views = [createMockView()]
+      axios.delete.mockResolvedValue({ data: { success: false, message: 'Not allowed' } })
+
+      const result = await store.deleteView('view-1')
+
+      expect(result).toBe(false)
+      expect(store.views).toHaveLength(1)
+      expect(Notify.create).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Not allowed' }),
+      )
+    })
+  })
+})